@@ -0,0 +1,76 @@
+// Runs PublicNodeProvider against a fake node list, without any network:
+// one healthy node among many dead ones. Checks that fetchNodes returns as
+// soon as the healthy node passes, picks it, and that the dead nodes are
+// still probed (and put on cooldown) in the background.
+//
+// Usage: npm run check:public-nodes
+
+const assert = require('assert');
+const PublicNodeProvider = require('../src/utils/PublicNodeProvider');
+
+const DEAD_NODES = 30;
+const DEAD_PROBE_MS = 1000;
+const HEALTHY_PROBE_MS = 50;
+const HEALTHY_HOST = 'healthy.test';
+
+const nodeList = [
+    ...Array.from({ length: DEAD_NODES }, (_, i) => ({
+        host: `dead-${i}.test`, port: 443, password: 'pw', secure: true, version: 'v4',
+    })),
+    { host: HEALTHY_HOST, port: 443, password: 'pw', secure: true, version: 'v4' },
+    // Filtered out by the provider
+    { host: 'v3.test', port: 443, password: 'pw', secure: true, version: 'v3' },
+];
+
+function jsonResponse(body) {
+    return { ok: true, status: 200, json: async () => body };
+}
+
+// Serves the list and the healthy node's REST API
+async function fakeFetch(url) {
+    const { host, pathname } = new URL(url);
+    if (url === 'https://list.test/nodes') return jsonResponse(nodeList);
+    if (host !== HEALTHY_HOST) throw new Error(`Unexpected request to ${url}`);
+    if (pathname === '/v4/info') return jsonResponse({ sourceManagers: ['youtube'] });
+    if (pathname === '/v4/loadtracks') return jsonResponse({ loadType: 'search', data: [{ encoded: 'x' }] });
+    return { ok: false, status: 404, json: async () => null };
+}
+
+// Dead nodes time out after DEAD_PROBE_MS
+function fakeProbeWebSocket(node) {
+    const healthy = node.host === HEALTHY_HOST;
+    return new Promise((resolve, reject) => setTimeout(
+        () => (healthy ? resolve() : reject(new Error('Websocket handshake timed out'))),
+        healthy ? HEALTHY_PROBE_MS : DEAD_PROBE_MS
+    ));
+}
+
+async function main() {
+    const provider = new PublicNodeProvider({
+        apiUrl: 'https://list.test/nodes',
+        fetch: fakeFetch,
+        probeWebSocket: fakeProbeWebSocket,
+    });
+
+    // The healthy node is listed after every dead one
+    const startedAt = Date.now();
+    assert.strictEqual(await provider.fetchNodes(), true, 'fetchNodes should succeed');
+    const elapsed = Date.now() - startedAt;
+
+    assert.strictEqual(provider.nodes.length, DEAD_NODES + 1, 'v3 nodes should be filtered out');
+    assert.ok(elapsed < DEAD_PROBE_MS, `fetchNodes waited ${elapsed} ms for dead nodes`);
+    assert.strictEqual(provider.getNextNode().host, HEALTHY_HOST, 'the healthy node should be picked');
+    assert.ok(provider.probeRun, 'the remaining nodes should still be probing');
+
+    await provider.probeRun.done;
+    const coolingDown = provider.nodes.filter(node => provider.isCoolingDown(node)).length;
+    assert.strictEqual(coolingDown, DEAD_NODES, 'every dead node should be cooling down');
+    assert.strictEqual(provider.probeRun, null);
+
+    console.log(`ok: healthy node chosen after ${elapsed} ms, ${DEAD_NODES} dead nodes probed in the background`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
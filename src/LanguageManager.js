@@ -18,6 +18,35 @@ class LanguageManager {
         }
     }
 
+    /**
+     * Maps a Discord locale (e.g. "es-ES", "pt-BR", "en-US") to a loaded locale
+     * @param {string} locale - Discord locale code
+     * @returns {string|null} Matching locale code, or null if none is available
+     */
+    resolveLocale(locale) {
+        if (!locale) return null;
+        if (this.locales.has(locale)) return locale;
+
+        const base = locale.split('-')[0];
+        if (this.locales.has(base)) return base;
+
+        for (const code of this.locales.keys()) {
+            if (code.split('-')[0] === base) return code;
+        }
+        return null;
+    }
+
+    /**
+     * Gets a translation from a single locale without falling back to English
+     * @param {string} locale - Locale code
+     * @param {string} key - Translation key
+     * @returns {string|null} The translation, or null if the locale doesn't define it
+     */
+    getOwn(locale, key) {
+        const translations = this.locales.get(locale);
+        return translations && Object.hasOwn(translations, key) ? translations[key] : null;
+    }
+
     get(locale, key, ...args) {
         const translations = this.locales.get(locale) || this.locales.get('en');
         const fallback = this.locales.get('en');
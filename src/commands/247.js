@@ -0,0 +1,115 @@
+const { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } = require('discord.js');
+const { isLavalinkAvailable, handleLavalinkError, connectPlayer } = require('../utils/interactionHelpers');
+const PlaylistManager = require('../utils/PlaylistManager');
+const logger = require('../utils/logger');
+
+const URL_PATTERN = /^https?:\/\//i;
+
+function describeFallback(fallback, t) {
+    if (!fallback) return t('ALWAYS_ON_NO_FALLBACK');
+    return fallback.type === 'playlist'
+        ? t('ALWAYS_ON_FALLBACK_PLAYLIST', fallback.name)
+        : t('ALWAYS_ON_FALLBACK_URL', fallback.url);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('247')
+        .setDescription('Keep the bot in its voice channel even when the queue ends or everyone leaves.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addBooleanOption(option =>
+            option.setName('enabled')
+                .setDescription('Turn 24/7 mode on or off (toggles when left empty)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('fallback')
+                .setDescription('Server playlist name or stream URL to play when the queue runs out')
+                .setRequired(false)
+                .setMaxLength(500))
+        .addBooleanOption(option =>
+            option.setName('remove_fallback')
+                .setDescription('Stop playing a fallback when the queue runs out')
+                .setRequired(false)),
+    async execute(interaction) {
+        const { client, options, guild, member } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+        const alwaysOn = client.alwaysOn;
+
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            return interaction.reply({ content: t('SETTINGS_MANAGE_REQUIRED'), flags: MessageFlags.Ephemeral });
+        }
+
+        const fallbackInput = options.getString('fallback')?.trim() || null;
+        const removeFallback = options.getBoolean('remove_fallback') || false;
+        const wasEnabled = alwaysOn.isEnabled(guild.id);
+
+        // Only changing the fallback keeps the current state; otherwise the command toggles
+        const enabled = options.getBoolean('enabled') ?? (fallbackInput || removeFallback ? wasEnabled : !wasEnabled);
+
+        logger.cmd(`/247 ${enabled ? 'on' : 'off'}${fallbackInput ? ` fallback "${fallbackInput}"` : ''} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${guild.name})`);
+
+        let fallback;
+        if (fallbackInput && URL_PATTERN.test(fallbackInput)) {
+            fallback = { type: 'url', url: fallbackInput };
+        } else if (fallbackInput) {
+            const playlist = client.playlistManager.get(PlaylistManager.getOwnerKey('guild', guild.id), fallbackInput);
+            if (!playlist) {
+                return interaction.reply({ content: t('PLAYLIST_NOT_FOUND', fallbackInput), flags: MessageFlags.Ephemeral });
+            }
+            fallback = { type: 'playlist', name: playlist.name };
+        } else if (removeFallback) {
+            fallback = null;
+        }
+
+        if (!enabled) {
+            if (fallback !== undefined) alwaysOn.setFallback(guild.id, fallback);
+            alwaysOn.disable(guild.id);
+
+            // Nothing is playing, so there is nothing left to stay for
+            const player = client.lavalink.getPlayer(guild.id);
+            if (wasEnabled && player && !player.queue.current) {
+                await player.destroy();
+            }
+            return interaction.reply({ content: t('ALWAYS_ON_DISABLED'), flags: MessageFlags.Ephemeral });
+        }
+
+        const existingPlayer = client.lavalink.getPlayer(guild.id);
+        const voiceChannel = existingPlayer
+            ? guild.channels.cache.get(existingPlayer.voiceChannelId)
+            : member.voice.channel;
+
+        if (!voiceChannel) {
+            return interaction.reply({ content: t('NOT_IN_VOICE'), flags: MessageFlags.Ephemeral });
+        }
+
+        if (!isLavalinkAvailable(client)) {
+            return interaction.reply({ content: t('LAVALINK_UNAVAILABLE'), flags: MessageFlags.Ephemeral });
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        try {
+            const player = await connectPlayer(interaction, voiceChannel);
+            if (!player) return;
+
+            if (fallback !== undefined) alwaysOn.setFallback(guild.id, fallback);
+            alwaysOn.enable(guild.id, voiceChannel.id, interaction.channel.id);
+
+            if (!player.queue.current && await alwaysOn.playFallback(player)) {
+                await client.playerController.showPlayer(interaction.channel, player);
+            }
+
+            await interaction.editReply({
+                content: `${t('ALWAYS_ON_ENABLED', `<#${voiceChannel.id}>`)}\n${describeFallback(alwaysOn.get(guild.id).fallback, t)}`,
+            });
+        } catch (error) {
+            if (error.code === 10062) {
+                logger.warn('Interaction expired for /247 command');
+                return;
+            }
+            logger.error('Error enabling 24/7 mode:', error);
+            await handleLavalinkError(interaction, error, client);
+        }
+    },
+};
@@ -26,7 +26,7 @@ module.exports = {
         .setDescription('Displays detailed information about the bot.'),
     async execute(interaction) {
         const { client } = interaction;
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         logger.cmd(`/about by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
 
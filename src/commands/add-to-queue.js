@@ -0,0 +1,82 @@
+const { ContextMenuCommandBuilder, ApplicationCommandType, MessageFlags } = require('discord.js');
+const { isLavalinkAvailable, handleLavalinkError, connectPlayer } = require('../utils/interactionHelpers');
+const { queueQuery } = require('../utils/PlayerActions');
+const { extractSupportedUrls } = require('../utils/messageUrls');
+const logger = require('../utils/logger');
+
+const MAX_REPLY_LENGTH = 2000;
+
+module.exports = {
+    data: new ContextMenuCommandBuilder()
+        .setName('Add to queue')
+        .setType(ApplicationCommandType.Message),
+    async execute(interaction) {
+        const { client, guild, member, targetMessage } = interaction;
+        const voiceChannel = member.voice.channel;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+
+        try {
+            if (!voiceChannel) {
+                return await interaction.reply({ content: t('NOT_IN_VOICE'), flags: MessageFlags.Ephemeral });
+            }
+
+            if (!isLavalinkAvailable(client)) {
+                return await interaction.reply({ content: t('LAVALINK_UNAVAILABLE'), flags: MessageFlags.Ephemeral });
+            }
+
+            const urls = extractSupportedUrls(targetMessage);
+            if (!urls.length) {
+                return await interaction.reply({ content: t('ADD_TO_QUEUE_NO_LINKS'), flags: MessageFlags.Ephemeral });
+            }
+
+            await interaction.deferReply();
+            logger.cmd(`"Add to queue" (${urls.length} links) by ${member.user.tag} in #${interaction.channel.name} (Guild: ${guild.name})`);
+            const player = await connectPlayer(interaction, voiceChannel);
+            if (!player) return;
+
+            // One link at a time, so the tracks keep the order they were posted in
+            let added = 0;
+            const failed = [];
+            for (const url of urls) {
+                const queued = await queueQuery(player, url, interaction.user, { startPlaying: false }).catch(error => {
+                    logger.warn(`Failed to load ${url}:`, error.message);
+                    return null;
+                });
+                if (queued) {
+                    added += queued.tracks.length;
+                } else {
+                    failed.push(url);
+                }
+            }
+
+            if (!added) {
+                return interaction.editReply({ content: t('ADD_TO_QUEUE_ALL_FAILED', urls.length) });
+            }
+
+            if (!player.playing) {
+                player.play();
+            }
+
+            let content = t('ADD_TO_QUEUE_ADDED', added, urls.length - failed.length);
+            if (failed.length) {
+                content += `\n${t('ADD_TO_QUEUE_FAILED', failed.length)}\n${failed.map(url => `• <${url}>`).join('\n')}`;
+            }
+            if (content.length > MAX_REPLY_LENGTH) {
+                content = `${content.slice(0, MAX_REPLY_LENGTH - 3)}...`;
+            }
+
+            await interaction.editReply({ content });
+
+            // Send or update the player controller
+            await client.playerController.showPlayer(interaction.channel, player);
+        } catch (error) {
+            if (error.code === 10062) {
+                logger.warn('Interaction expired for "Add to queue" command');
+                return;
+            }
+            logger.error('Error in "Add to queue" command:', error);
+            await handleLavalinkError(interaction, error, client);
+        }
+    },
+};
@@ -7,6 +7,7 @@ module.exports = {
         .setDescription('Toggle autoplay mode to automatically play related songs.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
         const { requirePlayer } = require('../utils/interactionHelpers');
 
         const player = await requirePlayer(interaction);
@@ -26,7 +27,7 @@ module.exports = {
         setTimeout(() => client.playerController.updatePlayer(guildId), 100);
 
         return interaction.reply({
-            content: client.t(newState ? 'AUTOPLAY_ENABLED' : 'AUTOPLAY_DISABLED'),
+            content: client.languageManager.get(lang, newState ? 'AUTOPLAY_ENABLED' : 'AUTOPLAY_DISABLED'),
             flags: MessageFlags.Ephemeral,
         });
     },
@@ -9,6 +9,7 @@ module.exports = {
         .setDescription('Goes back to the previous song.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         const player = await requirePlayer(interaction);
         if (!player) return;
@@ -19,13 +20,13 @@ module.exports = {
 
         if (!track) {
             return interaction.reply({ 
-                content: client.languageManager.get(client.defaultLanguage, 'NO_PREVIOUS_SONG'), 
+                content: client.languageManager.get(lang, 'NO_PREVIOUS_SONG'), 
                 flags: MessageFlags.Ephemeral
             });
         }
 
         return interaction.reply({ 
-            content: client.languageManager.get(client.defaultLanguage, 'PLAYING_PREVIOUS', track.info?.title || 'Unknown'), 
+            content: client.languageManager.get(lang, 'PLAYING_PREVIOUS', track.info?.title || 'Unknown'), 
             flags: MessageFlags.Ephemeral
         });
     },
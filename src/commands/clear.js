@@ -7,6 +7,7 @@ module.exports = {
         .setDescription('Clears the queue.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
         const { requirePlayer } = require('../utils/interactionHelpers');
         const { clearQueue } = require('../utils/PlayerActions');
 
@@ -17,7 +18,7 @@ module.exports = {
 
         if (client.autoplayEnabled.get(interaction.guild.id)) {
             return interaction.reply({
-                content: client.languageManager.get(client.defaultLanguage, 'AUTOPLAY_BLOCKS_ACTION'),
+                content: client.languageManager.get(lang, 'AUTOPLAY_BLOCKS_ACTION'),
                 flags: MessageFlags.Ephemeral,
             });
         }
@@ -25,7 +26,7 @@ module.exports = {
         clearQueue(player);
 
         return interaction.reply({ 
-            content: client.languageManager.get(client.defaultLanguage, 'QUEUE_CLEARED'),
+            content: client.languageManager.get(lang, 'QUEUE_CLEARED'),
             flags: MessageFlags.Ephemeral
         });
     },
@@ -9,13 +9,14 @@ module.exports = {
         .setDescription('Apply audio effects and EQ presets to the music.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         const player = await requirePlayer(interaction);
         if (!player) return;
 
         logger.cmd(`/filter by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
 
-        const response = buildFilterResponse(client, player, 1);
+        const response = buildFilterResponse(client, player, 1, lang);
         return interaction.reply({ ...response, flags: MessageFlags.Ephemeral });
     },
 };
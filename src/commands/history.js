@@ -0,0 +1,20 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { buildHistoryResponse } = require('../interactions/historyNavigation');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Shows recently played songs and lets you queue them again.'),
+    async execute(interaction) {
+        const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+
+        logger.cmd(`/history by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        return interaction.reply({
+            ...buildHistoryResponse(client, interaction.guildId, 1, lang),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+};
@@ -8,7 +8,7 @@ module.exports = {
         .setDescription('Get a link to invite BeatDock to your server.'),
     async execute(interaction) {
         const { client } = interaction;
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         logger.cmd(`/invite by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
 
@@ -7,6 +7,7 @@ module.exports = {
         .setDescription('Toggle loop mode for the current track or queue.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
         const { requirePlayer } = require('../utils/interactionHelpers');
 
         const player = await requirePlayer(interaction);
@@ -16,7 +17,7 @@ module.exports = {
 
         if (client.autoplayEnabled.get(interaction.guild.id)) {
             return interaction.reply({
-                content: client.languageManager.get(client.defaultLanguage, 'AUTOPLAY_BLOCKS_ACTION'),
+                content: client.languageManager.get(lang, 'AUTOPLAY_BLOCKS_ACTION'),
                 flags: MessageFlags.Ephemeral,
             });
         }
@@ -28,19 +29,19 @@ module.exports = {
         switch (player.repeatMode) {
             case 'off':
                 newMode = 'track';
-                modeMessage = client.languageManager.get(client.defaultLanguage, 'LOOP_TRACK_ENABLED');
+                modeMessage = client.languageManager.get(lang, 'LOOP_TRACK_ENABLED');
                 break;
             case 'track':
                 newMode = 'queue';
-                modeMessage = client.languageManager.get(client.defaultLanguage, 'LOOP_QUEUE_ENABLED');
+                modeMessage = client.languageManager.get(lang, 'LOOP_QUEUE_ENABLED');
                 break;
             case 'queue':
                 newMode = 'off';
-                modeMessage = client.languageManager.get(client.defaultLanguage, 'LOOP_DISABLED');
+                modeMessage = client.languageManager.get(lang, 'LOOP_DISABLED');
                 break;
             default:
                 newMode = 'track';
-                modeMessage = client.languageManager.get(client.defaultLanguage, 'LOOP_TRACK_ENABLED');
+                modeMessage = client.languageManager.get(lang, 'LOOP_TRACK_ENABLED');
         }
 
         // Set the new repeat mode
@@ -69,7 +69,7 @@ module.exports = {
         .setDescription('Shows lyrics for the currently playing song.'),
     async execute(interaction) {
         const { client } = interaction;
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         const player = await requirePlayer(interaction);
         if (!player) return;
@@ -0,0 +1,50 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { requirePlayer } = require('../utils/interactionHelpers');
+const { moveTrack } = require('../utils/PlayerActions');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('move')
+        .setDescription('Moves a song to another position in the queue.')
+        .addIntegerOption(option =>
+            option.setName('from')
+                .setDescription('Queue position of the song to move')
+                .setRequired(true)
+                .setMinValue(1))
+        .addIntegerOption(option =>
+            option.setName('to')
+                .setDescription('Queue position to move it to')
+                .setRequired(true)
+                .setMinValue(1)),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+
+        const player = await requirePlayer(interaction, { requireQueue: true });
+        if (!player) return;
+
+        const from = options.getInteger('from');
+        const to = options.getInteger('to');
+
+        logger.cmd(`/move ${from} ${to} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        const track = await moveTrack(player, from - 1, to - 1);
+        if (!track) {
+            return interaction.reply({
+                content: client.languageManager.get(lang, 'QUEUE_POSITION_INVALID', player.queue.tracks.length),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // Update the player display
+        setTimeout(() => {
+            client.playerController.updatePlayer(interaction.guild.id);
+        }, 100);
+
+        return interaction.reply({
+            content: client.languageManager.get(lang, 'QUEUE_MOVED', track.info?.title || 'Unknown', to),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+};
@@ -7,6 +7,7 @@ module.exports = {
         .setDescription('Shows information about the currently playing song.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
         const { requirePlayer } = require('../utils/interactionHelpers');
 
         const player = await requirePlayer(interaction);
@@ -16,24 +17,24 @@ module.exports = {
 
         if (!player.playing || !player.queue.current) {
             return interaction.reply({ 
-                content: client.languageManager.get(client.defaultLanguage, 'NOTHING_PLAYING'), 
+                content: client.languageManager.get(lang, 'NOTHING_PLAYING'), 
                 flags: MessageFlags.Ephemeral
             });
         }
 
         const track = player.queue.current;
 
-        const embed = client.playerController.createPlayerEmbed(player, track);
+        const embed = client.playerController.createPlayerEmbed(player, track, lang);
 
         // Add loop status to nowplaying
         if (player.repeatMode && player.repeatMode !== 'off') {
             const loopIcon = player.repeatMode === 'track' ? '🔂' : '🔁';
             const loopText = player.repeatMode === 'track' 
-                ? client.languageManager.get(client.defaultLanguage, 'LOOP_STATUS_TRACK')
-                : client.languageManager.get(client.defaultLanguage, 'LOOP_STATUS_QUEUE');
+                ? client.languageManager.get(lang, 'LOOP_STATUS_TRACK')
+                : client.languageManager.get(lang, 'LOOP_STATUS_QUEUE');
             
             embed.addFields({
-                name: client.languageManager.get(client.defaultLanguage, 'LOOP_STATUS'),
+                name: client.languageManager.get(lang, 'LOOP_STATUS'),
                 value: `${loopIcon} ${loopText}`,
                 inline: true
             });
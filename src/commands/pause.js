@@ -8,6 +8,7 @@ module.exports = {
         .setDescription('Pauses or resumes playback.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         const player = await requirePlayer(interaction);
         if (!player) return;
@@ -17,13 +18,13 @@ module.exports = {
         if (player.paused) {
             await player.resume();
             return interaction.reply({ 
-                content: client.languageManager.get(client.defaultLanguage, 'RESUMED'), 
+                content: client.languageManager.get(lang, 'RESUMED'), 
                 flags: MessageFlags.Ephemeral
             });
         } else {
             await player.pause();
             return interaction.reply({ 
-                content: client.languageManager.get(client.defaultLanguage, 'PAUSED'), 
+                content: client.languageManager.get(lang, 'PAUSED'), 
                 flags: MessageFlags.Ephemeral
             });
         }
@@ -1,6 +1,9 @@
 const { SlashCommandBuilder, MessageFlags } = require('discord.js');
-const { isLavalinkAvailable, handleLavalinkError } = require('../utils/interactionHelpers');
-const { getValidVolume } = require('../utils/volumeValidator');
+const { isLavalinkAvailable, handleLavalinkError, connectPlayer } = require('../utils/interactionHelpers');
+const { preparePlaylist, queueTracks, formatQueuedMessage } = require('../utils/PlayerActions');
+const { createImportPrompt } = require('../interactions/importNavigation');
+const { ATTACHMENT_MAX_SIZE_MB, validateAudioAttachment, loadAttachmentTrack } = require('../utils/audioAttachments');
+const { getSearchNode, getSearchSource, createSourceChoices } = require('../utils/searchSources');
 const logger = require('../utils/logger');
 
 module.exports = {
@@ -10,18 +13,30 @@ module.exports = {
         .addStringOption(option =>
             option.setName('query')
                 .setDescription('The song to play (URL or search query).')
-                .setRequired(true)
-                .setMaxLength(500))
+                .setRequired(false)
+                .setMaxLength(500)
+                .setAutocomplete(true))
         .addBooleanOption(option =>
             option.setName('next')
                 .setDescription('Add the song to play next in the queue.')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('source')
+                .setDescription('Where to search (only sources the Lavalink server supports are listed).')
+                .setRequired(false)
+                .setAutocomplete(true))
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription('An audio file to play instead of a query.')
                 .setRequired(false)),
     async execute(interaction) {
         const { client, guild, member, options } = interaction;
         const query = options.getString('query');
         const playNext = options.getBoolean('next') || false;
+        const sourceId = options.getString('source');
+        const file = options.getAttachment('file');
         const voiceChannel = member.voice.channel;
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         try {
             if (!voiceChannel) {
@@ -36,71 +51,63 @@ module.exports = {
                 });
             }
 
-            await interaction.deferReply();
-            logger.cmd(`/play "${query}" by ${member.user.tag} in #${interaction.channel.name} (Guild: ${guild.name})`);
-            let player = client.lavalink.getPlayer(guild.id);
+            // Exactly one of query and file
+            if (!query === !file) {
+                return await interaction.reply({ content: client.languageManager.get(lang, 'PLAY_QUERY_OR_FILE'), flags: MessageFlags.Ephemeral });
+            }
 
-            if (!player) {
-                // Create a new player if one doesn't exist
-                player = client.lavalink.createPlayer({
-                    guildId: guild.id,
-                    voiceChannelId: voiceChannel.id,
-                    textChannelId: interaction.channel.id,
-                    selfDeaf: true,
-                    selfMute: false,
-                    volume: getValidVolume(process.env.DEFAULT_VOLUME, 80),
+            const fileError = file && validateAudioAttachment(file);
+            if (fileError) {
+                return await interaction.reply({
+                    content: client.languageManager.get(lang, fileError, ATTACHMENT_MAX_SIZE_MB),
+                    flags: MessageFlags.Ephemeral
                 });
             }
 
-            // Check if the bot is in a different voice channel
-            if (player.voiceChannelId && player.voiceChannelId !== voiceChannel.id) {
-                return interaction.editReply({
-                    content: client.languageManager.get(lang, 'ERROR_SAME_VOICE_CHANNEL'),
+            const source = sourceId && getSearchSource(getSearchNode(client, guild.id), sourceId);
+            if (sourceId && !source) {
+                return await interaction.reply({
+                    content: client.languageManager.get(lang, 'SEARCH_SOURCE_UNAVAILABLE', sourceId),
+                    flags: MessageFlags.Ephemeral
                 });
             }
-            
-            // Connect if not connected
-            if (!player.connected) {
-                player.connect();
-            }
-            
-            const res = await player.search({
-                query: query,
-            }, interaction.user);
 
-            if (!res || !res.tracks.length) {
-                return interaction.editReply({ content: client.languageManager.get(lang, 'NO_RESULTS') });
-            }
+            await interaction.deferReply();
+            logger.cmd(`/play ${file ? `file "${file.name}"` : `"${query}"`}${source ? ` (${source.name})` : ''} by ${member.user.tag} in #${interaction.channel.name} (Guild: ${guild.name})`);
+            let res = null;
+            if (!file) {
+                // Searched before joining, so a playlist prompt nobody answers leaves no idle player behind
+                res = await getSearchNode(client, guild.id).search({ query, source: source?.prefix }, interaction.user);
+                if (!res || !res.tracks.length) {
+                    return interaction.editReply({ content: client.languageManager.get(lang, 'NO_RESULTS') });
+                }
 
-            player.queue.add(
-                res.loadType === "playlist" ? res.tracks : res.tracks[0],
-                playNext ? 0 : undefined
-            );
+                client.searchSuggestions.remember(guild.id, interaction.user.id, query);
 
-            if (!player.playing) {
-                player.play();
+                // Playlists and albums ask how to queue them first; the bot joins once a button queues them
+                if (res.loadType === 'playlist') {
+                    const playlist = preparePlaylist(res);
+                    if (!playlist.tracks.length) {
+                        return interaction.editReply({ content: client.languageManager.get(lang, 'PLAYLIST_IMPORT_ALL_FAILED', playlist.total) });
+                    }
+                    return interaction.editReply(createImportPrompt(client, interaction, playlist, lang));
+                }
             }
 
-            let replyContent;
-            if (res.loadType === "playlist") {
-                const key = playNext ? 'PLAYLIST_ADDED_NEXT' : 'PLAYLIST_ADDED';
-                replyContent = client.languageManager.get(lang, key, res.playlist?.title);
-            } else {
-                const trackTitle = res.tracks[0].info?.title || client.languageManager.get(lang, 'UNKNOWN_TITLE');
-                const key = playNext ? 'SONG_ADDED_NEXT' : 'SONG_ADDED';
-                replyContent = client.languageManager.get(lang, key, trackTitle);
+            const player = await connectPlayer(interaction, voiceChannel);
+            if (!player) return;
+
+            const track = file ? await loadAttachmentTrack(player, file, interaction.user) : res.tracks[0];
+            if (!track) {
+                return interaction.editReply({ content: client.languageManager.get(lang, 'PLAY_FILE_LOAD_FAILED') });
             }
 
-            await interaction.editReply({ content: replyContent });
+            const queued = { tracks: [track], playlist: null };
+            await queueTracks(player, queued.tracks, { playNext });
+            await interaction.editReply({ content: formatQueuedMessage(client, lang, queued, playNext) });
 
             // Send or update the player controller
-            const existingMessageId = client.playerController.playerMessages.get(guild.id);
-            if (existingMessageId) {
-                await client.playerController.updatePlayer(guild.id);
-            } else {
-                await client.playerController.sendPlayer(interaction.channel, player);
-            }
-            
+            await client.playerController.showPlayer(interaction.channel, player);
         } catch (error) {
             if (error.code === 10062) {
                 logger.warn('Interaction expired for /play command');
@@ -110,4 +117,13 @@ module.exports = {
             await handleLavalinkError(interaction, error, client);
         }
     },
+    async autocomplete(interaction) {
+        const { client } = interaction;
+        const focused = interaction.options.getFocused(true);
+
+        const choices = focused.name === 'source'
+            ? createSourceChoices(getSearchNode(client, interaction.guildId), focused.value)
+            : await client.searchSuggestions.suggest(interaction);
+        await interaction.respond(choices);
+    },
 };
@@ -0,0 +1,196 @@
+const { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } = require('discord.js');
+const { requirePlayer, isLavalinkAvailable, handleLavalinkError, connectPlayer } = require('../utils/interactionHelpers');
+const { getPlaylistOwnerKey, buildPlaylistListResponse } = require('../interactions/playlistNavigation');
+const { buildTrack } = require('../utils/trackSerializer');
+const PlaylistManager = require('../utils/PlaylistManager');
+const { isAttachmentTrack } = require('../utils/audioAttachments');
+const logger = require('../utils/logger');
+
+const MAX_NAME_LENGTH = 50;
+
+const addNameOption = (sub, description) => sub.addStringOption(option =>
+    option.setName('name')
+        .setDescription(description)
+        .setRequired(true)
+        .setMaxLength(MAX_NAME_LENGTH));
+
+const addServerOption = (sub, description) => sub.addBooleanOption(option =>
+    option.setName('server')
+        .setDescription(description)
+        .setRequired(false));
+
+// Server playlists can be replaced or deleted by whoever saved them, or by server managers
+function canManageServerPlaylist(interaction, playlist) {
+    return !playlist
+        || playlist.createdBy === interaction.user.id
+        || interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+}
+
+function shuffle(tracks) {
+    for (let i = tracks.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [tracks[i], tracks[j]] = [tracks[j], tracks[i]];
+    }
+    return tracks;
+}
+
+async function loadPlaylist(interaction, playlist, shuffleTracks) {
+    const { client, member } = interaction;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
+    const voiceChannel = member.voice.channel;
+
+    if (!voiceChannel) {
+        return interaction.reply({ content: client.languageManager.get(lang, 'NOT_IN_VOICE'), flags: MessageFlags.Ephemeral });
+    }
+
+    if (!isLavalinkAvailable(client)) {
+        return interaction.reply({ content: client.languageManager.get(lang, 'LAVALINK_UNAVAILABLE'), flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.deferReply();
+
+    try {
+        const player = await connectPlayer(interaction, voiceChannel);
+        if (!player) return;
+
+        // Loaded tracks count as requested by whoever loads the playlist
+        const tracks = playlist.tracks.map(data => buildTrack(client, data, interaction.user)).filter(Boolean);
+        if (!tracks.length) {
+            return interaction.editReply({ content: client.languageManager.get(lang, 'PLAYLIST_LOAD_FAILED', playlist.name) });
+        }
+
+        await player.queue.add(shuffleTracks ? shuffle(tracks) : tracks);
+
+        if (!player.playing) {
+            await player.play();
+        }
+
+        await interaction.editReply({
+            content: client.languageManager.get(lang, shuffleTracks ? 'PLAYLIST_LOADED_SHUFFLED' : 'PLAYLIST_LOADED', playlist.name, tracks.length),
+        });
+
+        await client.playerController.showPlayer(interaction.channel, player);
+    } catch (error) {
+        if (error.code === 10062) {
+            logger.warn('Interaction expired for /playlist load command');
+            return;
+        }
+        logger.error('Error loading playlist:', error);
+        await handleLavalinkError(interaction, error, client);
+    }
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('playlist')
+        .setDescription('Save the queue as a playlist and load it again later.')
+        .addSubcommand(sub => {
+            sub.setName('save').setDescription('Save the current song and queue as a playlist.');
+            addNameOption(sub, 'Playlist name (an existing playlist with this name is replaced)');
+            return addServerOption(sub, 'Save it as a server playlist everyone can load');
+        })
+        .addSubcommand(sub => {
+            sub.setName('load').setDescription('Add a saved playlist to the queue.');
+            addNameOption(sub, 'Playlist name');
+            addServerOption(sub, 'Load a server playlist instead of one of your own');
+            return sub.addBooleanOption(option =>
+                option.setName('shuffle')
+                    .setDescription('Shuffle the playlist before adding it')
+                    .setRequired(false));
+        })
+        .addSubcommand(sub => {
+            sub.setName('list').setDescription('List saved playlists.');
+            return addServerOption(sub, 'List the server playlists instead of your own');
+        })
+        .addSubcommand(sub => {
+            sub.setName('delete').setDescription('Delete a saved playlist.');
+            addNameOption(sub, 'Playlist name');
+            return addServerOption(sub, 'Delete a server playlist instead of one of your own');
+        })
+        .addSubcommand(sub => {
+            sub.setName('share').setDescription('Copy one of your playlists to the server playlists.');
+            return addNameOption(sub, 'Name of your playlist');
+        }),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+        const playlists = client.playlistManager;
+
+        const subcommand = options.getSubcommand();
+        const name = options.getString('name');
+        const server = options.getBoolean('server') || false;
+        const ownerKey = getPlaylistOwnerKey(interaction, server);
+
+        logger.cmd(`/playlist ${subcommand}${name ? ` "${name}"` : ''}${server ? ' (server)' : ''} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        switch (subcommand) {
+            case 'save': {
+                const player = await requirePlayer(interaction);
+                if (!player) return;
+
+                if (server && !canManageServerPlaylist(interaction, playlists.get(ownerKey, name))) {
+                    return interaction.reply({ content: t('PLAYLIST_NOT_OWNER'), flags: MessageFlags.Ephemeral });
+                }
+
+                const tracks = [player.queue.current, ...player.queue.tracks].filter(Boolean);
+                const result = playlists.save(ownerKey, name, tracks, interaction.user.id);
+                if (result.error) {
+                    return interaction.reply({ content: t(result.error, PlaylistManager.MAX_PLAYLISTS_PER_OWNER), flags: MessageFlags.Ephemeral });
+                }
+
+                const skippedFiles = tracks.filter(isAttachmentTrack).length;
+                let content = t('PLAYLIST_SAVED', result.playlist.name, result.playlist.tracks.length);
+                if (skippedFiles) {
+                    content += `\n${t('PLAYLIST_SAVE_SKIPPED_FILES', skippedFiles)}`;
+                }
+
+                return interaction.reply({ content, flags: MessageFlags.Ephemeral });
+            }
+
+            case 'load': {
+                const playlist = playlists.get(ownerKey, name);
+                if (!playlist) {
+                    return interaction.reply({ content: t('PLAYLIST_NOT_FOUND', name), flags: MessageFlags.Ephemeral });
+                }
+                return loadPlaylist(interaction, playlist, options.getBoolean('shuffle') || false);
+            }
+
+            case 'list':
+                return interaction.reply({
+                    ...buildPlaylistListResponse(client, interaction, server, 1, lang),
+                    flags: MessageFlags.Ephemeral
+                });
+
+            case 'delete': {
+                const playlist = playlists.get(ownerKey, name);
+                if (!playlist) {
+                    return interaction.reply({ content: t('PLAYLIST_NOT_FOUND', name), flags: MessageFlags.Ephemeral });
+                }
+                if (server && !canManageServerPlaylist(interaction, playlist)) {
+                    return interaction.reply({ content: t('PLAYLIST_NOT_OWNER'), flags: MessageFlags.Ephemeral });
+                }
+
+                playlists.delete(ownerKey, name);
+                return interaction.reply({ content: t('PLAYLIST_DELETED', playlist.name), flags: MessageFlags.Ephemeral });
+            }
+
+            case 'share': {
+                const guildKey = getPlaylistOwnerKey(interaction, true);
+                if (!canManageServerPlaylist(interaction, playlists.get(guildKey, name))) {
+                    return interaction.reply({ content: t('PLAYLIST_NOT_OWNER'), flags: MessageFlags.Ephemeral });
+                }
+
+                const result = playlists.copy(ownerKey, name, guildKey, interaction.user.id);
+                if (result.error) {
+                    return interaction.reply({
+                        content: t(result.error, result.error === 'PLAYLIST_NOT_FOUND' ? name : PlaylistManager.MAX_PLAYLISTS_PER_OWNER),
+                        flags: MessageFlags.Ephemeral
+                    });
+                }
+
+                return interaction.reply({ content: t('PLAYLIST_SHARED', result.playlist.name), flags: MessageFlags.Ephemeral });
+            }
+        }
+    },
+};
@@ -7,6 +7,7 @@ module.exports = {
         .setDescription('Displays the song queue.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
         const { requirePlayer } = require('../utils/interactionHelpers');
         const { createPaginatedQueueResponse } = require('../utils/PlayerActions');
 
@@ -15,7 +16,7 @@ module.exports = {
 
         logger.cmd(`/queue by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
 
-        const queueResponse = createPaginatedQueueResponse(client, player, 1);
+        const queueResponse = createPaginatedQueueResponse(client, player, 1, lang);
         return interaction.reply(queueResponse);
     },
 }; 
\ No newline at end of file
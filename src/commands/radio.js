@@ -0,0 +1,135 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { isLavalinkAvailable, handleLavalinkError, connectPlayer } = require('../utils/interactionHelpers');
+const { queueTracks } = require('../utils/PlayerActions');
+const { truncateText } = require('../utils/trackSelectMenu');
+const logger = require('../utils/logger');
+
+const MAX_NAME_LENGTH = 50;
+const MAX_LISTED_STATIONS = 50;
+
+async function playStation(interaction, station) {
+    const { client, member } = interaction;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
+    const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+    const voiceChannel = member.voice.channel;
+
+    if (!voiceChannel) {
+        return interaction.reply({ content: t('NOT_IN_VOICE'), flags: MessageFlags.Ephemeral });
+    }
+
+    if (!isLavalinkAvailable(client)) {
+        return interaction.reply({ content: t('LAVALINK_UNAVAILABLE'), flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.deferReply();
+
+    try {
+        const player = await connectPlayer(interaction, voiceChannel);
+        if (!player) return;
+
+        const track = await client.radio.loadStream(player, station, interaction.user);
+        if (!track) {
+            return interaction.editReply({ content: t('RADIO_NOT_A_STREAM') });
+        }
+
+        // Queued at the end like /play; the stream then plays until someone skips or stops it
+        const queued = Boolean(player.queue.current);
+        await queueTracks(player, [track]);
+
+        await interaction.editReply({ content: t(queued ? 'RADIO_QUEUED' : 'RADIO_STARTED', track.info.title) });
+        await client.playerController.showPlayer(interaction.channel, player);
+    } catch (error) {
+        if (error.code === 10062) {
+            logger.warn('Interaction expired for /radio command');
+            return;
+        }
+        logger.error('Error in radio command:', error);
+        await handleLavalinkError(interaction, error, client);
+    }
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('radio')
+        .setDescription('Play an internet radio station.')
+        .addSubcommand(sub =>
+            sub.setName('play')
+                .setDescription('Play one of the server\'s radio stations.')
+                .addStringOption(option =>
+                    option.setName('station')
+                        .setDescription('Station name')
+                        .setRequired(true)
+                        .setAutocomplete(true)))
+        .addSubcommand(sub =>
+            sub.setName('url')
+                .setDescription('Play a radio stream from a URL.')
+                .addStringOption(option =>
+                    option.setName('url')
+                        .setDescription('Stream URL (http or https)')
+                        .setRequired(true)
+                        .setMaxLength(500))
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Name to show in the player')
+                        .setRequired(false)
+                        .setMaxLength(MAX_NAME_LENGTH)))
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('List the available radio stations.')),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+        const subcommand = options.getSubcommand();
+
+        switch (subcommand) {
+            case 'play': {
+                const name = options.getString('station');
+                logger.cmd(`/radio play "${name}" by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+                const station = client.radio.getStation(name);
+                if (!station) {
+                    return interaction.reply({ content: t('RADIO_STATION_NOT_FOUND', name), flags: MessageFlags.Ephemeral });
+                }
+                return playStation(interaction, station);
+            }
+
+            case 'url': {
+                const url = options.getString('url').trim();
+                logger.cmd(`/radio url "${url}" by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+                if (!/^https?:\/\/\S+$/i.test(url)) {
+                    return interaction.reply({ content: t('RADIO_INVALID_URL'), flags: MessageFlags.Ephemeral });
+                }
+                return playStation(interaction, { name: options.getString('name')?.trim() || '', url, genre: '' });
+            }
+
+            case 'list': {
+                logger.cmd(`/radio list by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+                const { stations } = client.radio;
+                if (!stations.length) {
+                    return interaction.reply({ content: t('RADIO_NO_STATIONS'), flags: MessageFlags.Ephemeral });
+                }
+
+                const lines = stations.slice(0, MAX_LISTED_STATIONS).map(station =>
+                    `📻 **${truncateText(station.name, 50)}**${station.genre ? ` — ${truncateText(station.genre, 40)}` : ''}`);
+                if (stations.length > MAX_LISTED_STATIONS) {
+                    lines.push(t('RADIO_LIST_MORE', stations.length - MAX_LISTED_STATIONS));
+                }
+
+                const embed = new EmbedBuilder()
+                    .setColor(0x0099FF)
+                    .setTitle(t('RADIO_LIST_TITLE'))
+                    .setDescription(lines.join('\n'))
+                    .setFooter({ text: t('RADIO_LIST_FOOTER') });
+
+                return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+            }
+        }
+    },
+    async autocomplete(interaction) {
+        const { client } = interaction;
+        await interaction.respond(client.radio.createStationChoices(interaction.options.getFocused()));
+    },
+};
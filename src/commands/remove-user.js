@@ -0,0 +1,43 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { requirePlayer } = require('../utils/interactionHelpers');
+const { removeUserTracks } = require('../utils/PlayerActions');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('remove-user')
+        .setDescription('Removes every queued song requested by a member.')
+        .addUserOption(option =>
+            option.setName('member')
+                .setDescription('Member whose songs should be removed')
+                .setRequired(true)),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+
+        const player = await requirePlayer(interaction, { requireQueue: true });
+        if (!player) return;
+
+        const user = options.getUser('member');
+
+        logger.cmd(`/remove-user ${user.tag} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        const removedTracks = await removeUserTracks(player, user.id);
+        if (!removedTracks.length) {
+            return interaction.reply({
+                content: client.languageManager.get(lang, 'QUEUE_USER_NO_TRACKS', user.username),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // Update the player display
+        setTimeout(() => {
+            client.playerController.updatePlayer(interaction.guild.id);
+        }, 100);
+
+        return interaction.reply({
+            content: client.languageManager.get(lang, 'QUEUE_REMOVED_USER', removedTracks.length, user.username),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+};
@@ -0,0 +1,52 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { requirePlayer } = require('../utils/interactionHelpers');
+const { removeTrackRange } = require('../utils/PlayerActions');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('remove')
+        .setDescription('Removes a song, or a range of songs, from the queue.')
+        .addIntegerOption(option =>
+            option.setName('position')
+                .setDescription('Queue position of the song to remove')
+                .setRequired(true)
+                .setMinValue(1))
+        .addIntegerOption(option =>
+            option.setName('to')
+                .setDescription('Last queue position to remove, to remove a whole range')
+                .setRequired(false)
+                .setMinValue(1)),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+
+        const player = await requirePlayer(interaction, { requireQueue: true });
+        if (!player) return;
+
+        const position = options.getInteger('position');
+        const to = options.getInteger('to') ?? position;
+
+        logger.cmd(`/remove ${position}${to !== position ? `-${to}` : ''} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        const removedTracks = await removeTrackRange(player, Math.min(position, to) - 1, Math.max(position, to) - 1);
+        if (!removedTracks) {
+            return interaction.reply({
+                content: client.languageManager.get(lang, 'QUEUE_POSITION_INVALID', player.queue.tracks.length),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // Update the player display
+        setTimeout(() => {
+            client.playerController.updatePlayer(interaction.guild.id);
+        }, 100);
+
+        return interaction.reply({
+            content: removedTracks.length === 1
+                ? client.languageManager.get(lang, 'QUEUE_REMOVED', removedTracks[0].info?.title || 'Unknown')
+                : client.languageManager.get(lang, 'QUEUE_REMOVED_COUNT', removedTracks.length),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+};
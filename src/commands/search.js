@@ -2,7 +2,7 @@ const { SlashCommandBuilder, MessageFlags } = require('discord.js');
 const searchSessions = require('../utils/searchSessions');
 const { isLavalinkAvailable, handleLavalinkError } = require('../utils/interactionHelpers');
 const { createSearchEmbed, createSearchComponents } = require('../utils/embeds');
-const { getValidVolume } = require('../utils/volumeValidator');
+const { getSearchNode, getSearchSource, createSourceChoices } = require('../utils/searchSources');
 const logger = require('../utils/logger');
 
 
@@ -13,7 +13,8 @@ module.exports = {
      *
      * Defines the command structure, name, description, and required options
      * for the search functionality. The command requires a search query string
-     * with a maximum length of 200 characters.
+     * with a maximum length of 200 characters, and optionally takes the source
+     * to search.
      *
      * @type {SlashCommandBuilder}
      */
@@ -23,7 +24,12 @@ module.exports = {
         .addStringOption(option =>
             option.setName('query')
                 .setDescription('Search query for music (max 200 characters).')
-                .setRequired(true)),
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('source')
+                .setDescription('Where to search (only sources the Lavalink server supports are listed).')
+                .setRequired(false)
+                .setAutocomplete(true)),
     
     /**
      * Executes the search command
@@ -42,8 +48,9 @@ module.exports = {
     async execute(interaction) {
         const { client, guild, member, options } = interaction;
         const query = options.getString('query');
+        const sourceId = options.getString('source');
         const voiceChannel = member.voice.channel;
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         try {
             // Input validation
@@ -76,8 +83,16 @@ module.exports = {
                 });
             }
 
+            const source = sourceId && getSearchSource(getSearchNode(client, guild.id), sourceId);
+            if (sourceId && !source) {
+                return await interaction.reply({
+                    content: client.languageManager.get(lang, 'SEARCH_SOURCE_UNAVAILABLE', sourceId),
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+
             await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-            logger.cmd(`/search "${query}" by ${member.user.tag} in #${interaction.channel.name} (Guild: ${guild.name})`);
+            logger.cmd(`/search "${query}"${source ? ` (${source.name})` : ''} by ${member.user.tag} in #${interaction.channel.name} (Guild: ${guild.name})`);
             // Get or create player (without connecting - connection deferred to track selection)
             let player = client.lavalink.getPlayer(guild.id);
             let createdNewPlayer = false;
@@ -86,11 +101,12 @@ module.exports = {
                 // Create a new player for searching (NOT connected yet)
                 player = client.lavalink.createPlayer({
                     guildId: guild.id,
+                    node: client.lavalinkConnectionManager.getBestNode()?.id,
                     voiceChannelId: voiceChannel.id,
                     textChannelId: interaction.channel.id,
                     selfDeaf: true,
                     selfMute: false,
-                    volume: getValidVolume(process.env.DEFAULT_VOLUME, 80),
+                    volume: client.guildSettings.get(guild.id).defaultVolume,
                 });
                 createdNewPlayer = true;
             } else if (player.voiceChannelId && player.voiceChannelId !== voiceChannel.id) {
@@ -103,6 +119,7 @@ module.exports = {
             // Search for tracks using the player
             const searchResult = await player.search({
                 query: query.trim(),
+                source: source?.prefix,
             }, interaction.user);
 
             if (!searchResult || !searchResult.tracks.length) {
@@ -134,8 +151,8 @@ module.exports = {
             }
 
             // Create and send search results with dropdown
-            const embed = createSearchEmbed(client, pageData, query.trim());
-            const components = createSearchComponents(client, pageData, sessionId);
+            const embed = createSearchEmbed(client, pageData, query.trim(), lang);
+            const components = createSearchComponents(client, pageData, sessionId, lang);
 
             await interaction.editReply({
                 embeds: [embed],
@@ -151,4 +168,15 @@ module.exports = {
             await handleLavalinkError(interaction, error, client);
         }
     },
+
+    /**
+     * Suggests the sources the Lavalink node can search for the `source` option
+     *
+     * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+     * @returns {Promise<void>}
+     */
+    async autocomplete(interaction) {
+        const node = getSearchNode(interaction.client, interaction.guildId);
+        await interaction.respond(createSourceChoices(node, interaction.options.getFocused()));
+    },
 };
\ No newline at end of file
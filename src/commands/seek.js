@@ -0,0 +1,54 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { requirePlayer } = require('../utils/interactionHelpers');
+const { parseSeekPosition, seekTrack } = require('../utils/PlayerActions');
+const { formatDuration } = require('../utils/embeds');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('seek')
+        .setDescription('Jumps to a position in the current song.')
+        .addStringOption(option =>
+            option.setName('position')
+                .setDescription('Timestamp (1:23), seconds (83) or offset (+30, -10)')
+                .setRequired(true)
+                .setMaxLength(12)),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+
+        const player = await requirePlayer(interaction);
+        if (!player) return;
+
+        const input = options.getString('position');
+
+        logger.cmd(`/seek ${input} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        const position = parseSeekPosition(input, player.position);
+        if (position === null) {
+            return interaction.reply({
+                content: client.languageManager.get(lang, 'SEEK_INVALID'),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        const duration = player.queue.current?.info?.duration || 0;
+        const result = await seekTrack(player, position);
+        if (result.error) {
+            return interaction.reply({
+                content: client.languageManager.get(lang, result.error, formatDuration(duration)),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // Update the player display
+        setTimeout(() => {
+            client.playerController.updatePlayer(interaction.guild.id);
+        }, 100);
+
+        return interaction.reply({
+            content: client.languageManager.get(lang, 'SEEK_DONE', formatDuration(result.position), formatDuration(duration)),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+};
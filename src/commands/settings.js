@@ -0,0 +1,315 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, MessageFlags } = require('discord.js');
+const logger = require('../utils/logger');
+
+const LANGUAGE_CHOICES = [
+    { name: 'English', value: 'en' },
+    { name: 'Español', value: 'es' },
+    { name: 'Italiano', value: 'it' },
+    { name: 'Português (Brasil)', value: 'pt-BR' },
+    { name: 'Türkçe', value: 'tr' },
+];
+
+const MAX_TIMEOUT_SECONDS = 3600;
+
+function getLanguageName(code) {
+    return LANGUAGE_CHOICES.find(choice => choice.value === code)?.name || code;
+}
+
+function createSettingsEmbed(client, guildId, lang) {
+    const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+    const settings = client.guildSettings.get(guildId);
+
+    return new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(t('SETTINGS_TITLE'))
+        .addFields(
+            { name: t('SETTINGS_DEFAULT_VOLUME'), value: `${settings.defaultVolume}%`, inline: true },
+            { name: t('SETTINGS_AUTOPLAY_DEFAULT'), value: t(settings.autoplayDefault ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'), inline: true },
+            { name: t('SETTINGS_LANGUAGE'), value: getLanguageName(settings.language), inline: true },
+            { name: t('SETTINGS_USER_LOCALE'), value: t(settings.useUserLocale ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'), inline: true },
+            { name: t('SETTINGS_QUEUE_EMPTY_TIMEOUT'), value: t('SETTINGS_SECONDS', Math.round(settings.queueEmptyDestroyMs / 1000)), inline: true },
+            { name: t('SETTINGS_EMPTY_CHANNEL_TIMEOUT'), value: t('SETTINGS_SECONDS', Math.round(settings.emptyChannelDestroyMs / 1000)), inline: true },
+            { name: t('SETTINGS_SEEK_BUTTONS'), value: t(settings.seekButtons ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'), inline: true },
+            { name: t('SETTINGS_STICKY_PLAYER'), value: t(settings.stickyPlayer ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'), inline: true },
+            { name: t('SETTINGS_DJ_MODE'), value: t(settings.djMode ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'), inline: true },
+            {
+                name: t('SETTINGS_VOTE_SKIP'),
+                value: settings.voteSkip ? `${t('SETTINGS_ENABLED')} (${settings.voteSkipThreshold}%)` : t('SETTINGS_DISABLED'),
+                inline: true
+            },
+            {
+                name: t('SETTINGS_ALLOWED_ROLES'),
+                value: settings.allowedRoles.length
+                    ? settings.allowedRoles.map(id => `<@&${id}>`).join(', ')
+                    : t('SETTINGS_ALL_ROLES'),
+                inline: false
+            },
+            {
+                name: t('SETTINGS_DJ_ROLES'),
+                value: settings.djRoles.length
+                    ? settings.djRoles.map(id => `<@&${id}>`).join(', ')
+                    : t('SETTINGS_NO_DJ_ROLES'),
+                inline: false
+            }
+        )
+        .setFooter({ text: t('SETTINGS_FOOTER') })
+        .setTimestamp();
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('settings')
+        .setDescription('View or change the bot settings for this server.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub =>
+            sub.setName('view')
+                .setDescription('Show the current settings for this server.'))
+        .addSubcommand(sub =>
+            sub.setName('volume')
+                .setDescription('Set the default volume for new players.')
+                .addIntegerOption(option =>
+                    option.setName('level')
+                        .setDescription('Volume level (1-100)')
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setMaxValue(100)))
+        .addSubcommand(sub =>
+            sub.setName('autoplay')
+                .setDescription('Choose whether autoplay is on when music starts.')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Enable autoplay by default.')
+                        .setRequired(true)))
+        .addSubcommand(sub =>
+            sub.setName('language')
+                .setDescription('Set the language the bot uses in this server.')
+                .addStringOption(option =>
+                    option.setName('language')
+                        .setDescription('Bot language.')
+                        .setRequired(false)
+                        .addChoices(...LANGUAGE_CHOICES))
+                .addBooleanOption(option =>
+                    option.setName('user_locale')
+                        .setDescription('Reply to each user in their own Discord language when available.')
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('timeouts')
+                .setDescription('Set how long the bot waits before leaving the voice channel.')
+                .addIntegerOption(option =>
+                    option.setName('queue_end')
+                        .setDescription('Seconds to stay after the queue ends.')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(MAX_TIMEOUT_SECONDS))
+                .addIntegerOption(option =>
+                    option.setName('empty_channel')
+                        .setDescription('Seconds to stay in an empty voice channel.')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(MAX_TIMEOUT_SECONDS)))
+        .addSubcommand(sub =>
+            sub.setName('seek_buttons')
+                .setDescription('Show ±10 second seek buttons on the player controller.')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Show the seek buttons.')
+                        .setRequired(true)))
+        .addSubcommand(sub =>
+            sub.setName('sticky_player')
+                .setDescription('Repost the player controller at the bottom of busy channels.')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Keep the controller at the bottom of the channel.')
+                        .setRequired(true)))
+        .addSubcommand(sub =>
+            sub.setName('dj')
+                .setDescription('Require a DJ role for skipping, stopping, volume, filters and queue changes.')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Enable DJ mode.')
+                        .setRequired(true)))
+        .addSubcommand(sub =>
+            sub.setName('vote_skip')
+                .setDescription('Make listeners vote to skip songs they did not request.')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Enable vote skip.')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('threshold')
+                        .setDescription('Percentage of listeners that must vote (1-100).')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(100)))
+        .addSubcommandGroup(group =>
+            group.setName('roles')
+                .setDescription('Restrict the bot to specific roles.')
+                .addSubcommand(sub =>
+                    sub.setName('add')
+                        .setDescription('Allow a role to use the bot.')
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to allow.')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('remove')
+                        .setDescription('Remove a role from the allowed list.')
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to remove.')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('clear')
+                        .setDescription('Allow everyone to use the bot again.')))
+        .addSubcommandGroup(group =>
+            group.setName('dj_roles')
+                .setDescription('Choose which roles count as DJ in DJ mode.')
+                .addSubcommand(sub =>
+                    sub.setName('add')
+                        .setDescription('Make a role a DJ role.')
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to add.')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('remove')
+                        .setDescription('Remove a role from the DJ roles.')
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to remove.')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('clear')
+                        .setDescription('Remove all DJ roles (only admins count as DJ).')))
+        .addSubcommand(sub =>
+            sub.setName('reset')
+                .setDescription('Reset all settings for this server to the bot defaults.')),
+    async execute(interaction) {
+        const { client, options, guild } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+        const settings = client.guildSettings;
+
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            return interaction.reply({ content: t('SETTINGS_MANAGE_REQUIRED'), flags: MessageFlags.Ephemeral });
+        }
+
+        const group = options.getSubcommandGroup(false);
+        const subcommand = options.getSubcommand();
+
+        logger.cmd(`/settings ${group ? `${group} ` : ''}${subcommand} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${guild.name})`);
+
+        let content;
+
+        if (group === 'roles' || group === 'dj_roles') {
+            const key = group === 'roles' ? 'allowedRoles' : 'djRoles';
+            const prefix = group === 'roles' ? 'SETTINGS_ROLE' : 'SETTINGS_DJ_ROLE';
+            const roles = settings.get(guild.id)[key];
+            const role = options.getRole('role');
+
+            switch (subcommand) {
+                case 'add':
+                    if (!roles.includes(role.id)) {
+                        settings.set(guild.id, key, [...roles, role.id]);
+                    }
+                    content = t(`${prefix}_ADDED`, `<@&${role.id}>`);
+                    break;
+                case 'remove':
+                    if (!roles.includes(role.id)) {
+                        content = t(`${prefix}_NOT_LISTED`, `<@&${role.id}>`);
+                        break;
+                    }
+                    settings.set(guild.id, key, roles.filter(id => id !== role.id));
+                    content = t(`${prefix}_REMOVED`, `<@&${role.id}>`);
+                    break;
+                case 'clear':
+                    settings.set(guild.id, key, []);
+                    content = t(`${prefix}S_CLEARED`);
+                    break;
+            }
+
+            return interaction.reply({ content, flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+        }
+
+        switch (subcommand) {
+            case 'view':
+                return interaction.reply({ embeds: [createSettingsEmbed(client, guild.id, lang)], flags: MessageFlags.Ephemeral });
+
+            case 'volume': {
+                const level = options.getInteger('level');
+                settings.set(guild.id, 'defaultVolume', level);
+                content = t('SETTINGS_UPDATED', t('SETTINGS_DEFAULT_VOLUME'), `${level}%`);
+                break;
+            }
+
+            case 'autoplay': {
+                const enabled = options.getBoolean('enabled');
+                settings.set(guild.id, 'autoplayDefault', enabled);
+                content = t('SETTINGS_UPDATED', t('SETTINGS_AUTOPLAY_DEFAULT'), t(enabled ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'));
+                break;
+            }
+
+            case 'language': {
+                const language = options.getString('language');
+                const userLocale = options.getBoolean('user_locale');
+
+                if (language !== null) settings.set(guild.id, 'language', language);
+                if (userLocale !== null) settings.set(guild.id, 'useUserLocale', userLocale);
+
+                // Reply in the newly configured language
+                const newLang = client.getLanguage(guild.id, interaction.locale);
+                return interaction.reply({ embeds: [createSettingsEmbed(client, guild.id, newLang)], flags: MessageFlags.Ephemeral });
+            }
+
+            case 'timeouts': {
+                const queueEnd = options.getInteger('queue_end');
+                const emptyChannel = options.getInteger('empty_channel');
+
+                if (queueEnd !== null) settings.set(guild.id, 'queueEmptyDestroyMs', queueEnd * 1000);
+                if (emptyChannel !== null) settings.set(guild.id, 'emptyChannelDestroyMs', emptyChannel * 1000);
+
+                return interaction.reply({ embeds: [createSettingsEmbed(client, guild.id, lang)], flags: MessageFlags.Ephemeral });
+            }
+
+            case 'seek_buttons': {
+                const enabled = options.getBoolean('enabled');
+                settings.set(guild.id, 'seekButtons', enabled);
+                client.playerController.updatePlayer(guild.id).catch(() => {});
+                content = t('SETTINGS_UPDATED', t('SETTINGS_SEEK_BUTTONS'), t(enabled ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'));
+                break;
+            }
+
+            case 'sticky_player': {
+                const enabled = options.getBoolean('enabled');
+                settings.set(guild.id, 'stickyPlayer', enabled);
+                if (!enabled) client.playerController.clearSticky(guild.id);
+                content = t('SETTINGS_UPDATED', t('SETTINGS_STICKY_PLAYER'), t(enabled ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'));
+                break;
+            }
+
+            case 'dj': {
+                const enabled = options.getBoolean('enabled');
+                settings.set(guild.id, 'djMode', enabled);
+                content = t('SETTINGS_UPDATED', t('SETTINGS_DJ_MODE'), t(enabled ? 'SETTINGS_ENABLED' : 'SETTINGS_DISABLED'));
+                break;
+            }
+
+            case 'vote_skip': {
+                const enabled = options.getBoolean('enabled');
+                const threshold = options.getInteger('threshold');
+
+                if (enabled !== null) settings.set(guild.id, 'voteSkip', enabled);
+                if (threshold !== null) settings.set(guild.id, 'voteSkipThreshold', threshold);
+
+                return interaction.reply({ embeds: [createSettingsEmbed(client, guild.id, lang)], flags: MessageFlags.Ephemeral });
+            }
+
+            case 'reset':
+                settings.reset(guild.id);
+                content = t('SETTINGS_RESET');
+                break;
+        }
+
+        return interaction.reply({ content, flags: MessageFlags.Ephemeral });
+    },
+};
@@ -0,0 +1,77 @@
+const { SlashCommandBuilder, PermissionFlagsBits, MessageFlags, ChannelType } = require('discord.js');
+const { REQUEST_CHANNEL_ENABLED } = require('../utils/RequestChannelManager');
+const logger = require('../utils/logger');
+
+const DEFAULT_CHANNEL_NAME = 'song-requests';
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('setup')
+        .setDescription('Set up bot features for this server.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub =>
+            sub.setName('request-channel')
+                .setDescription('Make a channel where every message is played as a song request.')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to use (a new one is created when left empty)')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('remove-request-channel')
+                .setDescription('Turn the song request channel back into a normal channel.')),
+    async execute(interaction) {
+        const { client, options, guild } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+        const subcommand = options.getSubcommand();
+
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            return interaction.reply({ content: t('SETTINGS_MANAGE_REQUIRED'), flags: MessageFlags.Ephemeral });
+        }
+
+        if (!REQUEST_CHANNEL_ENABLED) {
+            return interaction.reply({ content: t('REQUEST_CHANNEL_FEATURE_DISABLED'), flags: MessageFlags.Ephemeral });
+        }
+
+        logger.cmd(`/setup ${subcommand} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${guild.name})`);
+
+        if (subcommand === 'remove-request-channel') {
+            const removed = await client.requestChannels.remove(guild.id);
+            return interaction.reply({
+                content: t(removed ? 'REQUEST_CHANNEL_REMOVED' : 'REQUEST_CHANNEL_NONE'),
+                flags: MessageFlags.Ephemeral,
+            });
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        let channel = options.getChannel('channel');
+        if (!channel) {
+            channel = await guild.channels.create({
+                name: DEFAULT_CHANNEL_NAME,
+                type: ChannelType.GuildText,
+                topic: t('REQUEST_CHANNEL_TOPIC'),
+            }).catch(error => {
+                logger.warn(`Failed to create request channel in guild ${guild.id}:`, error.message);
+                return null;
+            });
+            if (!channel) {
+                return interaction.editReply({ content: t('REQUEST_CHANNEL_CREATE_FAILED') });
+            }
+        }
+
+        const missing = client.requestChannels.getMissingPermissions(channel);
+        if (missing.length) {
+            return interaction.editReply({ content: t('REQUEST_CHANNEL_MISSING_PERMISSIONS', channel.toString(), missing.join(', ')) });
+        }
+
+        try {
+            await client.requestChannels.setup(channel);
+        } catch (error) {
+            logger.warn(`Failed to pin request channel message in guild ${guild.id}:`, error.message);
+            return interaction.editReply({ content: t('REQUEST_CHANNEL_PIN_FAILED', channel.toString()) });
+        }
+        return interaction.editReply({ content: t('REQUEST_CHANNEL_SET', channel.toString()) });
+    },
+};
@@ -9,6 +9,7 @@ module.exports = {
         .setDescription('Shuffles the queue.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         const player = await requirePlayer(interaction, { requireQueue: true });
         if (!player) return;
@@ -17,7 +18,7 @@ module.exports = {
 
         if (client.autoplayEnabled.get(interaction.guild.id)) {
             return interaction.reply({
-                content: client.languageManager.get(client.defaultLanguage, 'AUTOPLAY_BLOCKS_ACTION'),
+                content: client.languageManager.get(lang, 'AUTOPLAY_BLOCKS_ACTION'),
                 flags: MessageFlags.Ephemeral,
             });
         }
@@ -30,7 +31,7 @@ module.exports = {
         }, 100);
 
         return interaction.reply({ 
-            content: client.languageManager.get(client.defaultLanguage, 'QUEUE_SHUFFLED'),
+            content: client.languageManager.get(lang, 'QUEUE_SHUFFLED'),
             flags: MessageFlags.Ephemeral
         });
     },
@@ -1,5 +1,5 @@
 const { SlashCommandBuilder, MessageFlags } = require('discord.js');
-const { requirePlayer } = require('../utils/interactionHelpers');
+const { requirePlayer, requireSkipVotes } = require('../utils/interactionHelpers');
 const logger = require('../utils/logger');
 
 module.exports = {
@@ -8,7 +8,7 @@ module.exports = {
         .setDescription('Skips the current song.'),
     async execute(interaction) {
         const { client } = interaction;
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         const player = await requirePlayer(interaction);
         if (!player) return;
@@ -20,6 +20,9 @@ module.exports = {
             return interaction.reply({ content: client.languageManager.get(lang, 'QUEUE_EMPTY'), flags: MessageFlags.Ephemeral });
         }
 
+        const skipAllowed = await requireSkipVotes(interaction, player);
+        if (!skipAllowed) return;
+
         if (player.queue.tracks.length === 0 && autoplayOn) {
             await player.skip(0, false);
         } else {
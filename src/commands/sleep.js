@@ -0,0 +1,71 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { requirePlayer } = require('../utils/interactionHelpers');
+const { parseDuration } = require('../utils/SleepTimerManager');
+const { formatDuration } = require('../utils/embeds');
+const logger = require('../utils/logger');
+
+const MODES = {
+    'end-of-track': 'track',
+    'end-of-queue': 'queue',
+};
+
+const addFadeOption = sub => sub.addBooleanOption(option =>
+    option.setName('fade')
+        .setDescription('Fade the volume out over the last 30 seconds')
+        .setRequired(false));
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('sleep')
+        .setDescription('Stop playback after a while, at the end of the song or at the end of the queue.')
+        .addSubcommand(sub => {
+            sub.setName('timer')
+                .setDescription('Stop playback after a set time.')
+                .addStringOption(option =>
+                    option.setName('duration')
+                        .setDescription('Minutes (30), hours and minutes (1:30) or units (1h30m), up to 12 hours')
+                        .setRequired(true)
+                        .setMaxLength(20));
+            return addFadeOption(sub);
+        })
+        .addSubcommand(sub => addFadeOption(
+            sub.setName('end-of-track').setDescription('Stop playback when the current song ends.')))
+        .addSubcommand(sub => addFadeOption(
+            sub.setName('end-of-queue').setDescription('Stop playback when the queue runs out (no autoplay).')))
+        .addSubcommand(sub =>
+            sub.setName('cancel')
+                .setDescription('Cancel the sleep timer.')),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+        const subcommand = options.getSubcommand();
+
+        const player = await requirePlayer(interaction);
+        if (!player) return;
+
+        logger.cmd(`/sleep ${subcommand}${subcommand === 'timer' ? ` ${options.getString('duration')}` : ''} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        let content;
+
+        if (subcommand === 'cancel') {
+            content = t(client.sleepTimers.cancel(player.guildId) ? 'SLEEP_TIMER_CANCELLED' : 'SLEEP_TIMER_NONE');
+        } else if (subcommand === 'timer') {
+            const durationMs = parseDuration(options.getString('duration'));
+            if (!durationMs) {
+                return interaction.reply({ content: t('SLEEP_INVALID_DURATION'), flags: MessageFlags.Ephemeral });
+            }
+
+            client.sleepTimers.set(player, { mode: 'time', durationMs, fade: options.getBoolean('fade') || false });
+            content = t('SLEEP_TIMER_SET', formatDuration(durationMs));
+        } else {
+            const mode = MODES[subcommand];
+            client.sleepTimers.set(player, { mode, fade: options.getBoolean('fade') || false });
+            content = t(mode === 'track' ? 'SLEEP_TIMER_SET_TRACK' : 'SLEEP_TIMER_SET_QUEUE');
+        }
+
+        client.playerController.updatePlayer(player.guildId).catch(() => {});
+
+        return interaction.reply({ content, flags: MessageFlags.Ephemeral });
+    },
+};
@@ -0,0 +1,32 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { buildStatsResponse } = require('../interactions/statsNavigation');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Shows listening statistics for the server or a member.')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Only count songs this member requested')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('days')
+                .setDescription('Only count plays from the last N days (all time if empty)')
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(365)),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const user = options.getUser('user');
+        const days = options.getInteger('days');
+
+        logger.cmd(`/stats${user ? ` ${user.tag}` : ''}${days ? ` (${days}d)` : ''} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        return interaction.reply({
+            ...buildStatsResponse(interaction, { userId: user?.id || null, days }, 1, lang),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+};
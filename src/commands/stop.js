@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, MessageFlags } = require('discord.js');
 const { requirePlayer } = require('../utils/interactionHelpers');
+const { stopPlayback } = require('../utils/PlayerActions');
 const logger = require('../utils/logger');
 
 module.exports = {
@@ -8,16 +9,16 @@ module.exports = {
         .setDescription('Stops playback and clears the queue.'),
     async execute(interaction) {
         const { client } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         const player = await requirePlayer(interaction);
         if (!player) return;
 
         logger.cmd(`/stop by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
 
-        client.autoplayEnabled.delete(interaction.guild.id);
-        await player.destroy();
+        await stopPlayback(client, player);
         return interaction.reply({ 
-            content: client.languageManager.get(client.defaultLanguage, 'STOPPED_PLAYBACK'),
+            content: client.languageManager.get(lang, 'STOPPED_PLAYBACK'),
             flags: MessageFlags.Ephemeral
         });
     },
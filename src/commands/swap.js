@@ -0,0 +1,50 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { requirePlayer } = require('../utils/interactionHelpers');
+const { swapTracks } = require('../utils/PlayerActions');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('swap')
+        .setDescription('Swaps two songs in the queue.')
+        .addIntegerOption(option =>
+            option.setName('first')
+                .setDescription('Queue position of the first song')
+                .setRequired(true)
+                .setMinValue(1))
+        .addIntegerOption(option =>
+            option.setName('second')
+                .setDescription('Queue position of the second song')
+                .setRequired(true)
+                .setMinValue(1)),
+    async execute(interaction) {
+        const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+
+        const player = await requirePlayer(interaction, { requireQueue: true });
+        if (!player) return;
+
+        const first = options.getInteger('first');
+        const second = options.getInteger('second');
+
+        logger.cmd(`/swap ${first} ${second} by ${interaction.user.tag} in #${interaction.channel.name} (Guild: ${interaction.guild.name})`);
+
+        const tracks = await swapTracks(player, first - 1, second - 1);
+        if (!tracks) {
+            return interaction.reply({
+                content: client.languageManager.get(lang, 'QUEUE_POSITION_INVALID', player.queue.tracks.length),
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        // Update the player display
+        setTimeout(() => {
+            client.playerController.updatePlayer(interaction.guild.id);
+        }, 100);
+
+        return interaction.reply({
+            content: client.languageManager.get(lang, 'QUEUE_SWAPPED', tracks[0].info?.title || 'Unknown', tracks[1].info?.title || 'Unknown'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+};
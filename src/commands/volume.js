@@ -14,6 +14,7 @@ module.exports = {
                 .setMaxValue(100)),
     async execute(interaction) {
         const { client, options } = interaction;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
         const player = await requirePlayer(interaction);
         if (!player) return;
@@ -31,7 +32,7 @@ module.exports = {
         }, 100);
 
         return interaction.reply({ 
-            content: client.languageManager.get(client.defaultLanguage, 'VOLUME_SET', volume),
+            content: client.languageManager.get(lang, 'VOLUME_SET', volume),
             flags: MessageFlags.Ephemeral
         });
     },
@@ -0,0 +1,13 @@
+const { Events } = require('discord.js');
+
+module.exports = {
+    name: Events.ChannelDelete,
+    async execute(channel) {
+        if (!channel.guildId) return;
+
+        const { client } = channel;
+        if (client.requestChannels.get(channel.guildId)?.channelId === channel.id) {
+            await client.requestChannels.remove(channel.guildId);
+        }
+    },
+};
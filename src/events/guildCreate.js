@@ -17,7 +17,7 @@ module.exports = {
     once: false,
     async execute(guild) {
         const { client } = guild;
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(guild.id, guild.preferredLocale);
 
         const channel = findWelcomeChannel(guild);
         if (!channel) return;
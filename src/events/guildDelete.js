@@ -9,6 +9,7 @@ module.exports = {
         const guildId = guild.id;
 
         // Clean up Lavalink player and controller message
+        client.requestChannels.forget(guildId);
         const player = client.lavalink.getPlayer(guildId);
         if (player) player.destroy();
         client.playerController.deletePlayer(guildId);
@@ -19,6 +20,7 @@ module.exports = {
         // Clean up state maps
         client.activePlayers.delete(guildId);
         client.autoplayEnabled.delete(guildId);
+        client.alwaysOn.remove(guildId);
         client.updatePresence();
 
         // Clear any pending empty-channel disconnect timer
@@ -1,17 +1,24 @@
 const { MessageFlags } = require('discord.js');
-const { checkInteractionPermission } = require('../utils/permissionChecker');
+const { checkInteractionPermission, hasPermission } = require('../utils/permissionChecker');
 const { handleSearchNavigation } = require('../interactions/searchNavigation');
 const { handleFilterNavigation } = require('../interactions/filterNavigation');
-const { requirePlayer, requireSameVoice } = require('../utils/interactionHelpers');
-const { playPrevious, shuffleQueue, clearQueue, jumpToTrack, createPaginatedQueueResponse } = require('../utils/PlayerActions');
+const { handlePlaylistNavigation } = require('../interactions/playlistNavigation');
+const { handleHistoryNavigation } = require('../interactions/historyNavigation');
+const { handleStatsNavigation } = require('../interactions/statsNavigation');
+const { handleImportNavigation } = require('../interactions/importNavigation');
+const { requirePlayer, requireSameVoice, requireSkipVotes } = require('../utils/interactionHelpers');
+const { playPrevious, shuffleQueue, clearQueue, stopPlayback, jumpToTrack, removeTracks, seekTrack, createPaginatedQueueResponse } = require('../utils/PlayerActions');
+const { formatDuration } = require('../utils/embeds');
 const logger = require('../utils/logger');
 
+const SEEK_BUTTON_STEP_MS = 10000;
+
 async function handlePlayerInteraction(interaction, action) {
     const { client } = interaction;
     const player = await requirePlayer(interaction);
     if (!player) return;
 
-    const lang = client.defaultLanguage;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
     const sameVoice = await requireSameVoice(interaction, player);
     if (!sameVoice) return;
@@ -37,10 +44,25 @@ async function handlePlayerInteraction(interaction, action) {
             }
             break;
         }
+        case 'rewind':
+        case 'forward': {
+            const step = action === 'forward' ? SEEK_BUTTON_STEP_MS : -SEEK_BUTTON_STEP_MS;
+            const duration = player.queue.current?.info?.duration || 0;
+            const result = await seekTrack(player, Math.max(0, player.position + step));
+            await interaction.reply({
+                content: result.error
+                    ? client.languageManager.get(lang, result.error, formatDuration(duration))
+                    : client.languageManager.get(lang, 'SEEK_DONE', formatDuration(result.position), formatDuration(duration)),
+                flags: MessageFlags.Ephemeral
+            });
+            break;
+        }
         case 'skip': {
             const skipAutoplay = client.autoplayEnabled.get(interaction.guild.id) || false;
             if (player.queue.tracks.length === 0 && player.repeatMode === 'off' && !skipAutoplay) {
                 await interaction.reply({ content: client.languageManager.get(lang, 'QUEUE_EMPTY'), flags: MessageFlags.Ephemeral });
+            } else if (!(await requireSkipVotes(interaction, player))) {
+                return;
             } else if (player.queue.tracks.length === 0 && skipAutoplay) {
                 await player.skip(0, false);
                 await interaction.reply({ content: client.languageManager.get(lang, 'SONG_SKIPPED'), flags: MessageFlags.Ephemeral });
@@ -51,8 +73,7 @@ async function handlePlayerInteraction(interaction, action) {
             break;
         }
         case 'stop': {
-            client.autoplayEnabled.delete(interaction.guild.id);
-            await player.destroy();
+            await stopPlayback(client, player);
             await interaction.reply({ content: client.languageManager.get(lang, 'STOPPED_PLAYBACK'), flags: MessageFlags.Ephemeral });
             break;
         }
@@ -70,7 +91,7 @@ async function handlePlayerInteraction(interaction, action) {
             break;
         }
         case 'queue': {
-            const queueResponse = createPaginatedQueueResponse(client, player, 1);
+            const queueResponse = createPaginatedQueueResponse(client, player, 1, lang);
             await interaction.reply(queueResponse);
             break;
         }
@@ -116,10 +137,10 @@ async function handleQueueInteraction(interaction, action, args) {
     const player = await requirePlayer(interaction);
     if (!player) return;
 
-    const lang = client.defaultLanguage;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
-    // Check same voice channel for jump action
-    if (action === 'jump') {
+    // Check same voice channel for actions that change the queue
+    if (action === 'jump' || action === 'remove') {
         const sameVoice = await requireSameVoice(interaction, player);
         if (!sameVoice) return;
     }
@@ -136,7 +157,7 @@ async function handleQueueInteraction(interaction, action, args) {
                 return interaction.update({ content: client.languageManager.get(lang, 'QUEUE_EMPTY'), embeds: [], components: [] });
             }
 
-            const queueResponse = createPaginatedQueueResponse(client, player, targetPage);
+            const queueResponse = createPaginatedQueueResponse(client, player, targetPage, lang);
             await interaction.update(queueResponse);
             break;
         }
@@ -160,7 +181,7 @@ async function handleQueueInteraction(interaction, action, args) {
                 });
             }
 
-            const updatedQueueResponse = createPaginatedQueueResponse(client, player, 1);
+            const updatedQueueResponse = createPaginatedQueueResponse(client, player, 1, lang);
             await interaction.update(updatedQueueResponse);
 
             await interaction.followUp({
@@ -171,6 +192,56 @@ async function handleQueueInteraction(interaction, action, args) {
             setTimeout(() => client.playerController.updatePlayer(interaction.guild.id).catch(() => {}), 500);
             break;
         }
+
+        case 'remove': {
+            const currentPage = parseInt(args[0]);
+            const trackIndexes = args.slice(1).map(value => parseInt(value));
+
+            if (isNaN(currentPage) || !trackIndexes.length || trackIndexes.some(isNaN)) return;
+
+            const removedTracks = await removeTracks(player, trackIndexes);
+
+            if (!removedTracks) {
+                return interaction.reply({
+                    content: client.languageManager.get(lang, 'QUEUE_JUMP_INVALID'),
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+
+            if (!player.queue.tracks.length) {
+                await interaction.update({ content: client.languageManager.get(lang, 'QUEUE_EMPTY'), embeds: [], components: [] });
+            } else {
+                await interaction.update(createPaginatedQueueResponse(client, player, currentPage, lang));
+            }
+
+            await interaction.followUp({
+                content: removedTracks.length === 1
+                    ? client.languageManager.get(lang, 'QUEUE_REMOVED', removedTracks[0].info?.title || 'Unknown')
+                    : client.languageManager.get(lang, 'QUEUE_REMOVED_COUNT', removedTracks.length),
+                flags: MessageFlags.Ephemeral
+            });
+
+            setTimeout(() => client.playerController.updatePlayer(interaction.guild.id).catch(() => {}), 500);
+            break;
+        }
+    }
+}
+
+async function handleAutocompleteInteraction(interaction) {
+    const { client, member } = interaction;
+    const command = client.commands.get(interaction.commandName);
+
+    try {
+        // Members who can't use the bot get no suggestions (and cause no searches)
+        if (!command?.autocomplete || !hasPermission(member, client.guildSettings.get(interaction.guildId).allowedRoles)) {
+            return await interaction.respond([]);
+        }
+        await command.autocomplete(interaction);
+    } catch (error) {
+        // Superseded requests expire while they wait; nothing to tell the user
+        if (error.code === 10062) return;
+        logger.error(`Error handling autocomplete for ${interaction.commandName}:`, error);
+        await interaction.respond([]).catch(() => {});
     }
 }
 
@@ -196,6 +267,18 @@ async function handleButtonInteraction(interaction) {
             case 'filter':
                 await handleFilterNavigation(interaction);
                 break;
+            case 'playlist':
+                await handlePlaylistNavigation(interaction);
+                break;
+            case 'history':
+                await handleHistoryNavigation(interaction);
+                break;
+            case 'stats':
+                await handleStatsNavigation(interaction);
+                break;
+            case 'import':
+                await handleImportNavigation(interaction);
+                break;
         }
     } catch (error) {
         if (error.code === 10062) {
@@ -203,7 +286,7 @@ async function handleButtonInteraction(interaction) {
             return;
         }
         logger.error('Error handling button interaction:', error);
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
         const reply = { content: client.languageManager.get(lang, 'BUTTON_ERROR'), flags: MessageFlags.Ephemeral };
         if (interaction.deferred || interaction.replied) {
             await interaction.followUp(reply).catch(() => {});
@@ -230,8 +313,14 @@ async function handleSelectMenuInteraction(interaction) {
             const selectedValue = interaction.values[0];
             const [trackIndexStr, pageStr] = selectedValue.split(':');
             await handleQueueInteraction(interaction, 'jump', [trackIndexStr, pageStr]);
+        } else if (component === 'queue' && action === 'remove') {
+            // Same "trackIndex:pageNumber" values, several can be picked at once
+            const selected = interaction.values.map(value => value.split(':'));
+            await handleQueueInteraction(interaction, 'remove', [selected[0][1], ...selected.map(([trackIndexStr]) => trackIndexStr)]);
         } else if (component === 'filter' && action === 'select') {
             await handleFilterNavigation(interaction);
+        } else if (component === 'history' && action === 'requeue') {
+            await handleHistoryNavigation(interaction);
         }
     } catch (error) {
         if (error.code === 10062) {
@@ -239,7 +328,7 @@ async function handleSelectMenuInteraction(interaction) {
             return;
         }
         logger.error('Error handling select menu interaction:', error);
-        const lang = client.defaultLanguage;
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
         const reply = { content: client.languageManager.get(lang, 'BUTTON_ERROR'), flags: MessageFlags.Ephemeral };
         if (interaction.deferred || interaction.replied) {
             await interaction.followUp(reply).catch(() => {});
@@ -267,7 +356,7 @@ module.exports = {
                     return;
                 }
                 logger.error(`Error executing command ${interaction.commandName}:`, error);
-                const lang = interaction.client.defaultLanguage;
+                const lang = interaction.client.getLanguage(interaction.guildId, interaction.locale);
                 const reply = { content: interaction.client.languageManager.get(lang, 'ERROR_COMMAND_EXECUTION'), flags: MessageFlags.Ephemeral };
                 if (interaction.deferred || interaction.replied) {
                     await interaction.followUp(reply).catch(() => {});
@@ -275,6 +364,8 @@ module.exports = {
                     await interaction.reply(reply).catch(() => {});
                 }
             }
+        } else if (interaction.isAutocomplete()) {
+            await handleAutocompleteInteraction(interaction);
         } else if (interaction.isButton()) {
             await handleButtonInteraction(interaction);
         } else if (interaction.isStringSelectMenu()) {
@@ -0,0 +1,14 @@
+const { Events } = require('discord.js');
+
+module.exports = {
+    name: Events.MessageCreate,
+    async execute(message) {
+        if (!message.guildId) return;
+
+        const { client } = message;
+        if (client.requestChannels.handleMessage(message)) return;
+
+        // Otherwise only messages in a channel with a player controller matter (sticky mode)
+        client.playerController.handleChannelMessage(message);
+    },
+};
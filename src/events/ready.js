@@ -14,6 +14,20 @@ module.exports = {
         await client.lavalink.init({ ...client.user });
         logger.info('Lavalink initialized');
 
+        client.playerPersistence.startAutoSave();
+        client.requestChannels.restoreAll()
+            .catch(error => {
+                logger.error('Failed to restore request channels:', error);
+            })
+            .then(() => client.playerPersistence.restoreAll())
+            .catch(error => {
+                logger.error('Failed to resume saved players:', error);
+            })
+            .then(() => client.alwaysOn.rejoinAll())
+            .catch(error => {
+                logger.error('Failed to rejoin 24/7 channels:', error);
+            });
+
         const inviteUrl = generateInviteUrl(client.user.id);
         logger.info(`Invite URL: ${inviteUrl}`);
 
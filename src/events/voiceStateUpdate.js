@@ -3,7 +3,6 @@ const searchSessions = require('../utils/searchSessions');
 
 // Keep track of disconnect timers per guild
 const emptyChannelTimeouts = new Map();
-const EMPTY_CHANNEL_TIMEOUT_MS = parseInt(process.env.EMPTY_CHANNEL_DESTROY_MS || "60000", 10);
 
 module.exports = {
     emptyChannelTimeouts,
@@ -36,6 +35,14 @@ module.exports = {
                     clearTimeout(emptyChannelTimeouts.get(guildId));
                     emptyChannelTimeouts.delete(guildId);
                 }
+
+                // 24/7 mode: get back into the channel
+                if (client.alwaysOn.isEnabled(guildId)) {
+                    client.alwaysOn.scheduleRejoin(guildId);
+                }
+            } else if (newState.channelId && oldState.channelId !== newState.channelId) {
+                // Bot joined or was moved; 24/7 mode stays in the new channel from now on
+                client.alwaysOn.updateChannel(newState.guild.id, newState.channelId);
             }
             return; // No further processing needed when the bot moved
         }
@@ -61,17 +68,19 @@ module.exports = {
         const nonBotMembers = botChannel.members.filter((m) => !m.user.bot);
 
         if (nonBotMembers.size === 0) {
-            // Channel became empty – start a timer if not already running
-            if (!emptyChannelTimeouts.has(guildId)) {
+            // Channel became empty – start a timer if not already running (never in 24/7 mode)
+            if (!emptyChannelTimeouts.has(guildId) && !client.alwaysOn.isEnabled(guildId)) {
+                const { emptyChannelDestroyMs } = client.guildSettings.get(guildId);
                 const timeout = setTimeout(async () => {
                     emptyChannelTimeouts.delete(guildId);
+                    if (client.alwaysOn.isEnabled(guildId)) return;
 
                     // Send leave message (if we can still find the text channel)
                     const playerMessage = client.playerController.playerMessages.get(guildId);
                     if (playerMessage) {
                         const textChannel = client.channels.cache.get(playerMessage.channelId);
                         if (textChannel) {
-                            await textChannel.send(client.t('LEFT_EMPTY'));
+                            await textChannel.send(client.languageManager.get(client.getLanguage(guildId), 'LEFT_EMPTY'));
                         }
                     }
 
@@ -87,7 +96,7 @@ module.exports = {
                     client.activePlayers.delete(guildId);
                     client.autoplayEnabled.delete(guildId);
                     client.updatePresence();
-                }, EMPTY_CHANNEL_TIMEOUT_MS);
+                }, emptyChannelDestroyMs);
 
                 emptyChannelTimeouts.set(guildId, timeout);
             }
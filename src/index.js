@@ -1,10 +1,22 @@
 require('dotenv').config();
 const { Client, GatewayIntentBits, ActivityType } = require('discord.js');
-const { LavalinkManager } = require('lavalink-client');
+const { LavalinkManager, DestroyReasons } = require('lavalink-client');
 const LanguageManager = require('./LanguageManager');
 const PlayerController = require('./utils/PlayerController');
 const LavalinkConnectionManager = require('./utils/LavalinkConnectionManager');
 const PublicNodeProvider = require('./utils/PublicNodeProvider');
+const { isLocalLavalinkConfigured, getLocalNodeConfigs } = require('./utils/lavalinkNodes');
+const GuildSettings = require('./utils/GuildSettings');
+const PlayerPersistence = require('./utils/PlayerPersistence');
+const VoteSkipManager = require('./utils/VoteSkipManager');
+const PlaylistManager = require('./utils/PlaylistManager');
+const PlayHistory = require('./utils/PlayHistory');
+const AlwaysOnManager = require('./utils/AlwaysOnManager');
+const SleepTimerManager = require('./utils/SleepTimerManager');
+const RequestChannelManager = require('./utils/RequestChannelManager');
+const SearchSuggestions = require('./utils/SearchSuggestions');
+const RadioManager = require('./utils/RadioManager');
+const JsonStore = require('./utils/JsonStore');
 const searchSessions = require('./utils/searchSessions');
 const { findAutoplayTracks } = require('./utils/autoplay');
 const loadCommands = require('./handlers/commandHandler');
@@ -14,26 +26,19 @@ const logger = require('./utils/logger');
 const AUTOPLAY_TIMEOUT_MS = 5000;
 const TRACK_END_CLEANUP_DELAY_MS = 500;
 
-function isLocalLavalinkConfigured() {
-    const host = process.env.LAVALINK_HOST;
-    const port = process.env.LAVALINK_PORT;
-    const password = process.env.LAVALINK_PASSWORD;
-    return Boolean(host && host.trim() && port && port.trim() && password && password.trim());
-}
-
 async function getInitialNodes() {
     if (isLocalLavalinkConfigured()) {
-        logger.info('Using local Lavalink server');
+        const nodes = getLocalNodeConfigs();
+        if (nodes.length === 0) {
+            throw new Error('LAVALINK_NODES does not contain any valid node.');
+        }
+
+        logger.info(nodes.length > 1
+            ? `Using ${nodes.length} local Lavalink servers`
+            : 'Using local Lavalink server');
         return {
             mode: 'local',
-            nodes: [{
-                host: process.env.LAVALINK_HOST,
-                port: parseInt(process.env.LAVALINK_PORT, 10),
-                authorization: process.env.LAVALINK_PASSWORD,
-                id: 'main-node',
-                reconnectTimeout: 10000,
-                reconnectTries: 3,
-            }],
+            nodes,
             provider: null,
         };
     }
@@ -63,19 +68,43 @@ function createClient() {
         intents: [
             GatewayIntentBits.Guilds,
             GatewayIntentBits.GuildVoiceStates,
+            // Message events: used to keep a sticky controller at the bottom
+            GatewayIntentBits.GuildMessages,
+            // Privileged, only requested when song request channels are on
+            ...(RequestChannelManager.REQUEST_CHANNEL_ENABLED ? [GatewayIntentBits.MessageContent] : []),
         ],
     });
 
     client.languageManager = new LanguageManager();
+    client.guildSettings = new GuildSettings();
     client.defaultLanguage = process.env.DEFAULT_LANGUAGE || 'en';
 
     client.t = function (key, ...args) {
         return this.languageManager.get(this.defaultLanguage, key, ...args);
     };
 
+    // Resolves the language for a guild, preferring the user's Discord locale when the guild allows it
+    client.getLanguage = function (guildId, userLocale) {
+        const { language, useUserLocale } = this.guildSettings.get(guildId);
+        if (useUserLocale) {
+            const resolved = this.languageManager.resolveLocale(userLocale);
+            if (resolved) return resolved;
+        }
+        return language;
+    };
+
     client.playerController = new PlayerController(client);
     client.activePlayers = new Map();
     client.autoplayEnabled = new Map();
+    client.playerPersistence = new PlayerPersistence(client);
+    client.voteSkipManager = new VoteSkipManager(client);
+    client.playlistManager = new PlaylistManager();
+    client.playHistory = new PlayHistory();
+    client.alwaysOn = new AlwaysOnManager(client);
+    client.sleepTimers = new SleepTimerManager(client);
+    client.requestChannels = new RequestChannelManager(client);
+    client.searchSuggestions = new SearchSuggestions(client);
+    client.radio = new RadioManager(client);
 
     client.updatePresence = function() {
         const activePlayers = Array.from(this.activePlayers.values());
@@ -93,6 +122,8 @@ function createClient() {
 }
 
 function cleanupGuildPlayer(client, guildId) {
+    client.sleepTimers.cancel(guildId);
+    client.radio.stop(guildId);
     client.playerController.deletePlayer(guildId);
     client.activePlayers.delete(guildId);
     client.autoplayEnabled.delete(guildId);
@@ -102,6 +133,7 @@ function cleanupGuildPlayer(client, guildId) {
 async function setupLavalink(client) {
     const { mode, nodes, provider } = await getInitialNodes();
     client.lavalinkMode = mode;
+    client.lavalinkNodeConfigs = nodes;
     client.publicNodeProvider = provider;
 
     client.lavalink = new LavalinkManager({
@@ -115,9 +147,10 @@ async function setupLavalink(client) {
             clientBasedPositionUpdateInterval: 1000,
             defaultSearchPlatform: process.env.DEFAULT_SEARCH_PLATFORM || "ytmsearch",
             onEmptyQueue: {
-                destroyAfterMs: parseInt(process.env.QUEUE_EMPTY_DESTROY_MS || "30000", 10),
+                // destroyAfterMs is handled per guild in the queueEnd handler
                 autoPlayFunction: async (player, lastPlayedTrack) => {
                     if (!client.autoplayEnabled.get(player.guildId)) return;
+                    if (client.sleepTimers.blocksAutoplay(player.guildId)) return;
 
                     try {
                         const tracks = await findAutoplayTracks(player, lastPlayedTrack);
@@ -150,22 +183,52 @@ async function setupLavalink(client) {
     client.lavalink.nodeManager.on('disconnect', (node, reason) => {
         client.lavalinkConnectionManager.onDisconnect(node, reason);
     });
+
+    client.lavalink.nodeManager.on('raw', (node, payload) => {
+        if (payload.op === 'ready') {
+            client.lavalinkConnectionManager.onReady(node, payload);
+        }
+    });
 }
 
 function registerLavalinkEvents(client) {
     const queueEndTimeouts = new Map();
+    const queueEmptyDestroyTimeouts = new Map();
 
-    client.lavalink.on("trackStart", (player, track) => {
-        if (queueEndTimeouts.has(player.guildId)) {
-            clearTimeout(queueEndTimeouts.get(player.guildId));
-            queueEndTimeouts.delete(player.guildId);
+    const clearQueueTimeouts = (guildId) => {
+        for (const timeouts of [queueEndTimeouts, queueEmptyDestroyTimeouts]) {
+            if (timeouts.has(guildId)) {
+                clearTimeout(timeouts.get(guildId));
+                timeouts.delete(guildId);
+            }
         }
+    };
+
+    // Destroys the player once the guild's configured idle time after the queue ended has passed
+    const scheduleQueueEmptyDestroy = (player) => {
+        const guildId = player.guildId;
+        const { queueEmptyDestroyMs } = client.guildSettings.get(guildId);
+        const timeout = setTimeout(() => {
+            queueEmptyDestroyTimeouts.delete(guildId);
+
+            // Only tear down the same player instance, and only if nothing started meanwhile
+            if (client.lavalink.getPlayer(guildId) !== player || player.queue.current) return;
+            if (client.alwaysOn.isEnabled(guildId)) return;
+            player.destroy(DestroyReasons.QueueEmpty);
+        }, queueEmptyDestroyMs);
+        queueEmptyDestroyTimeouts.set(guildId, timeout);
+    };
+
+    client.lavalink.on("trackStart", (player, track) => {
+        clearQueueTimeouts(player.guildId);
+        client.voteSkipManager.reset(player.guildId);
 
         if (!client.autoplayEnabled.has(player.guildId)) {
-            const autoplayDefault = process.env.AUTOPLAY_DEFAULT === 'true';
+            const { autoplayDefault } = client.guildSettings.get(player.guildId);
             client.autoplayEnabled.set(player.guildId, autoplayDefault);
         }
 
+        client.radio.handleTrackStart(player, track);
         client.playerController.updatePlayer(player.guildId);
 
         client.activePlayers.set(player.guildId, {
@@ -173,13 +236,26 @@ function registerLavalinkEvents(client) {
             startedAt: Date.now()
         });
         client.updatePresence();
+        client.playerPersistence.save(player);
+        client.playHistory.recordStart(player.guildId, track);
 
         logger.track(`Now playing: ${track.info?.title} — ${track.info?.author}`);
     });
 
-    client.lavalink.on("trackEnd", (player, track, reason) => {
-        logger.debug(`Track ended: ${track.info?.title} (reason: ${reason?.reason || reason})`);
-        if (reason === "replaced" || reason === "stopped") return;
+    client.lavalink.on("trackEnd", (player, track, payload) => {
+        logger.debug(`Track ended: ${track.info?.title} (reason: ${payload?.reason})`);
+        client.playHistory.recordEnd(player.guildId, track, payload);
+
+        // Sleeping after this track once it played to the end (a skip moves on
+        // to the next song). lavalink-client has already made the next track
+        // current and starts it after this event, unless current is cleared
+        if (payload?.reason === "finished" && client.sleepTimers.get(player.guildId)?.mode === 'track') {
+            player.queue.current = null;
+            client.sleepTimers.fire(player.guildId).finally(() => cleanupGuildPlayer(client, player.guildId));
+            return;
+        }
+
+        if (payload?.reason === "replaced" || payload?.reason === "stopped") return;
 
         setTimeout(() => {
             if (player.queue.current) {
@@ -190,14 +266,18 @@ function registerLavalinkEvents(client) {
         }, TRACK_END_CLEANUP_DELAY_MS);
     });
 
-    client.lavalink.on("queueEnd", (player) => {
-        const guildId = player.guildId;
-
-        if (queueEndTimeouts.has(guildId)) {
-            clearTimeout(queueEndTimeouts.get(guildId));
-            queueEndTimeouts.delete(guildId);
+    const announceQueueEnd = (guildId) => {
+        const playerMessage = client.playerController.playerMessages.get(guildId);
+        if (playerMessage) {
+            const textChannel = client.channels.cache.get(playerMessage.channelId);
+            if (textChannel) {
+                textChannel.send(client.languageManager.get(client.getLanguage(guildId), 'QUEUE_ENDED')).catch(() => {});
+            }
         }
+        cleanupGuildPlayer(client, guildId);
+    };
 
+    const endQueue = (guildId) => {
         if (client.autoplayEnabled.get(guildId)) {
             const timeout = setTimeout(() => {
                 queueEndTimeouts.delete(guildId);
@@ -205,27 +285,41 @@ function registerLavalinkEvents(client) {
                 const currentPlayer = client.lavalink.getPlayer(guildId);
                 if (currentPlayer?.queue.current || currentPlayer?.playing) return;
 
-                const playerMessage = client.playerController.playerMessages.get(guildId);
-                if (playerMessage) {
-                    const textChannel = client.channels.cache.get(playerMessage.channelId);
-                    if (textChannel) {
-                        textChannel.send(client.t('QUEUE_ENDED')).catch(() => {});
-                    }
-                }
-                cleanupGuildPlayer(client, guildId);
+                announceQueueEnd(guildId);
             }, AUTOPLAY_TIMEOUT_MS);
             queueEndTimeouts.set(guildId, timeout);
             return;
         }
 
-        const playerMessage = client.playerController.playerMessages.get(guildId);
-        if (playerMessage) {
-            const textChannel = client.channels.cache.get(playerMessage.channelId);
-            if (textChannel) {
-                textChannel.send(client.t('QUEUE_ENDED')).catch(() => {});
+        announceQueueEnd(guildId);
+    };
+
+    client.lavalink.on("queueEnd", (player, track, payload) => {
+        const guildId = player.guildId;
+        client.playHistory.recordEnd(guildId, track, payload);
+
+        clearQueueTimeouts(guildId);
+
+        // A sleep timer waiting for the track or queue to end takes over
+        if (client.sleepTimers.blocksAutoplay(guildId)) {
+            client.sleepTimers.fire(guildId).finally(() => cleanupGuildPlayer(client, guildId));
+            return;
+        }
+
+        // 24/7 mode keeps the player; its fallback takes over unless playback was stopped on purpose
+        if (client.alwaysOn.isEnabled(guildId)) {
+            if (payload?.reason === 'stopped') {
+                cleanupGuildPlayer(client, guildId);
+                return;
             }
+            client.alwaysOn.playFallback(player).then(started => {
+                if (!started) endQueue(guildId);
+            });
+            return;
         }
-        cleanupGuildPlayer(client, guildId);
+
+        scheduleQueueEmptyDestroy(player);
+        endQueue(guildId);
     });
 
     client.lavalink.on("trackStuck", (player, track, payload) => {
@@ -235,6 +329,15 @@ function registerLavalinkEvents(client) {
     client.lavalink.on("trackError", (player, track, payload) => {
         logger.error(`Track error: ${track?.info?.title} — ${payload.exception?.message || payload.error || 'Unknown error'}`);
     });
+
+    client.lavalink.on("playerDestroy", (player, reason) => {
+        clearQueueTimeouts(player.guildId);
+        client.sleepTimers.clear(player.guildId);
+        client.radio.stop(player.guildId);
+        client.voteSkipManager.reset(player.guildId);
+        client.playHistory.recordStop(player.guildId);
+        client.playerPersistence.handlePlayerDestroy(player, reason);
+    });
 }
 
 function setupShutdown(client) {
@@ -248,6 +351,12 @@ function setupShutdown(client) {
         }
 
         searchSessions.destroy();
+        client.alwaysOn.destroy();
+
+        // Snapshot players before tearing them down so playback resumes on next start
+        client.playerPersistence.saveAll();
+        client.playerPersistence.destroy();
+        JsonStore.flushAll();
 
         // Destroy all players before destroying nodes
         for (const player of client.lavalink.players.values()) {
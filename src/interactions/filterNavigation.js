@@ -62,8 +62,7 @@ function getActiveFilters(player) {
         .map(f => f.label);
 }
 
-function buildFilterResponse(client, player, page) {
-    const lang = client.defaultLanguage;
+function buildFilterResponse(client, player, page, lang = client.getLanguage(player.guildId)) {
     const items = PAGES[page - 1];
     const totalPages = PAGES.length;
     const activeFilters = getActiveFilters(player);
@@ -217,14 +216,14 @@ async function handleFilterNavigation(interaction) {
     const sameVoice = await requireSameVoice(interaction, player);
     if (!sameVoice) return;
 
-    const lang = client.defaultLanguage;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
     const [, action, param] = customId.split(':');
 
     if (action === 'prev' || action === 'next') {
         const page = parseInt(param);
         if (isNaN(page)) return;
 
-        const response = buildFilterResponse(client, player, page);
+        const response = buildFilterResponse(client, player, page, lang);
         await interaction.update({ ...response });
         return;
     }
@@ -247,7 +246,7 @@ async function handleFilterNavigation(interaction) {
 
             // Determine which page we're on based on the selected key
             const page = EQ_PRESETS.some(p => p.key === selectedKey) ? 2 : 1;
-            const response = buildFilterResponse(client, player, page);
+            const response = buildFilterResponse(client, player, page, lang);
 
             await interaction.update({ ...response });
             await interaction.followUp({ content, flags: MessageFlags.Ephemeral });
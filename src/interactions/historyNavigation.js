@@ -0,0 +1,156 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { isLavalinkAvailable, handleLavalinkError, connectPlayer } = require('../utils/interactionHelpers');
+const { createTrackSelectMenu, truncateText } = require('../utils/trackSelectMenu');
+const { buildTrack } = require('../utils/trackSerializer');
+const { isExpiredAttachment } = require('../utils/audioAttachments');
+const logger = require('../utils/logger');
+
+const ENTRIES_PER_PAGE = 10;
+
+const STATUS_ICONS = {
+    playing: '▶️',
+    completed: '✅',
+    skipped: '⏭️',
+    stopped: '⏹️',
+    failed: '❌',
+};
+
+function buildHistoryResponse(client, guildId, page, lang) {
+    const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+    const entries = client.playHistory.getEntries(guildId);
+
+    if (!entries.length) {
+        return { content: t('HISTORY_EMPTY'), embeds: [], components: [] };
+    }
+
+    const totalPages = Math.ceil(entries.length / ENTRIES_PER_PAGE);
+    const currentPage = Math.max(1, Math.min(page, totalPages));
+    const startIndex = (currentPage - 1) * ENTRIES_PER_PAGE;
+    const pageEntries = entries.slice(startIndex, startIndex + ENTRIES_PER_PAGE);
+
+    const lines = pageEntries.map(entry => {
+        const title = truncateText(entry.track.info?.title || 'Unknown', 45);
+        const artist = truncateText(entry.track.info?.author || 'Unknown', 20);
+        const requester = entry.autoplay
+            ? t('AUTOPLAY_REQUESTER')
+            : entry.requester ? `<@${entry.requester.id}>` : '';
+        return `${STATUS_ICONS[entry.status] || ''} <t:${Math.floor(entry.startedAt / 1000)}:R> ${title} — ${artist}${requester ? ` · ${requester}` : ''}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(t('HISTORY_TITLE', entries.length))
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: t('QUEUE_PAGE_FOOTER', currentPage, totalPages) });
+
+    const components = [];
+
+    if (totalPages > 1) {
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('history:page:1')
+                .setEmoji('⏮️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === 1),
+            new ButtonBuilder()
+                .setCustomId(`history:page:${currentPage - 1}`)
+                .setEmoji('◀️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === 1),
+            new ButtonBuilder()
+                .setCustomId(`history:page:${currentPage + 1}`)
+                .setEmoji('▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === totalPages),
+            new ButtonBuilder()
+                .setCustomId(`history:page:${totalPages}`)
+                .setEmoji('⏭️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === totalPages)
+        ));
+    }
+
+    // Values are entry IDs rather than positions, which shift as new plays are logged
+    const selectMenu = createTrackSelectMenu(pageEntries.map(entry => entry.track), {
+        customId: 'history:requeue',
+        placeholder: t('HISTORY_REQUEUE_PLACEHOLDER'),
+        startIndex,
+        valueFormatter: (globalIndex) => entries[globalIndex].id,
+        emoji: '➕',
+        maxValues: pageEntries.length,
+    });
+    components.push(new ActionRowBuilder().addComponents(selectMenu));
+
+    return { content: '', embeds: [embed], components };
+}
+
+async function requeueEntries(interaction) {
+    const { client, member } = interaction;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
+    const voiceChannel = member.voice.channel;
+
+    if (!voiceChannel) {
+        return interaction.reply({ content: client.languageManager.get(lang, 'NOT_IN_VOICE'), flags: MessageFlags.Ephemeral });
+    }
+
+    if (!isLavalinkAvailable(client)) {
+        return interaction.reply({ content: client.languageManager.get(lang, 'LAVALINK_UNAVAILABLE'), flags: MessageFlags.Ephemeral });
+    }
+
+    const selected = new Set(interaction.values);
+    const tracks = client.playHistory.getEntries(interaction.guildId)
+        .filter(entry => selected.has(entry.id))
+        .map(entry => buildTrack(client, entry.track, interaction.user))
+        .filter(track => track && !isExpiredAttachment(track));
+
+    if (!tracks.length) {
+        return interaction.reply({ content: client.languageManager.get(lang, 'HISTORY_REQUEUE_FAILED'), flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+        const player = await connectPlayer(interaction, voiceChannel);
+        if (!player) return;
+
+        await player.queue.add(tracks);
+
+        if (!player.playing) {
+            await player.play();
+        }
+
+        await interaction.editReply({
+            content: tracks.length === 1
+                ? client.languageManager.get(lang, 'SONG_ADDED', tracks[0].info?.title || client.languageManager.get(lang, 'UNKNOWN_TITLE'))
+                : client.languageManager.get(lang, 'HISTORY_REQUEUED', tracks.length),
+        });
+
+        await client.playerController.showPlayer(interaction.channel, player);
+    } catch (error) {
+        logger.error('Error requeueing history tracks:', error);
+        await handleLavalinkError(interaction, error, client);
+    }
+}
+
+async function handleHistoryNavigation(interaction) {
+    const { client, customId } = interaction;
+    const [, action, param] = customId.split(':');
+
+    if (action === 'page') {
+        const page = parseInt(param);
+        if (isNaN(page)) return;
+
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        await interaction.update(buildHistoryResponse(client, interaction.guildId, page, lang));
+        return;
+    }
+
+    if (action === 'requeue') {
+        await requeueEntries(interaction);
+    }
+}
+
+module.exports = {
+    buildHistoryResponse,
+    handleHistoryNavigation,
+};
@@ -0,0 +1,130 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { connectPlayer } = require('../utils/interactionHelpers');
+const { queueTracks, formatQueuedMessage, PLAYLIST_TRACK_LIMIT } = require('../utils/PlayerActions');
+const { formatDuration } = require('../utils/embeds');
+const logger = require('../utils/logger');
+
+// How many tracks "First N" adds
+const FIRST_TRACKS_COUNT = 10;
+// Unanswered prompts are forgotten after this long
+const IMPORT_TTL_MS = 5 * 60 * 1000;
+
+const pendingImports = new Map(); // Import ID -> { userId, playlist, timeout }
+
+/**
+ * Builds the prompt shown when /play finds a playlist or album: its name,
+ * track count and duration, with buttons choosing how to queue it
+ *
+ * @param {Object} client - Discord client instance
+ * @param {import('discord.js').Interaction} interaction - The /play interaction
+ * @param {Object} playlist - Result of preparePlaylist
+ * @param {string} lang - Language code
+ * @returns {Object} Reply payload
+ */
+function createImportPrompt(client, interaction, playlist, lang) {
+    const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+    const importId = interaction.id;
+
+    pendingImports.set(importId, {
+        userId: interaction.user.id,
+        playlist,
+        timeout: setTimeout(() => pendingImports.delete(importId), IMPORT_TTL_MS),
+    });
+
+    const notes = [];
+    if (playlist.skipped) notes.push(t('PLAYLIST_IMPORT_LIMITED', PLAYLIST_TRACK_LIMIT, playlist.total - playlist.failed));
+    if (playlist.failed) notes.push(t('PLAYLIST_IMPORT_FAILED', playlist.failed));
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(t('PLAYLIST_IMPORT_TITLE'))
+        .setDescription([playlist.uri ? `**[${playlist.name}](${playlist.uri})**` : `**${playlist.name}**`, ...notes].join('\n'))
+        .setThumbnail(playlist.thumbnail)
+        .addFields(
+            { name: t('PLAYLIST_IMPORT_TRACKS'), value: String(playlist.tracks.length), inline: true },
+            { name: t('PLAYER_DURATION'), value: formatDuration(playlist.duration), inline: true }
+        );
+
+    const firstCount = Math.min(FIRST_TRACKS_COUNT, playlist.tracks.length);
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`import:all:${importId}`)
+            .setLabel(t('PLAYLIST_IMPORT_ADD_ALL'))
+            .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+            .setCustomId(`import:shuffle:${importId}`)
+            .setEmoji('🔀')
+            .setLabel(t('PLAYLIST_IMPORT_SHUFFLE'))
+            .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+            .setCustomId(`import:next:${importId}`)
+            .setEmoji('⏭️')
+            .setLabel(t('PLAYLIST_IMPORT_NEXT'))
+            .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+            .setCustomId(`import:first:${importId}`)
+            .setLabel(t('PLAYLIST_IMPORT_FIRST', firstCount))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(firstCount === playlist.tracks.length),
+        new ButtonBuilder()
+            .setCustomId(`import:cancel:${importId}`)
+            .setEmoji('✖️')
+            .setStyle(ButtonStyle.Danger)
+    );
+
+    return { content: '', embeds: [embed], components: [row] };
+}
+
+async function handleImportNavigation(interaction) {
+    const { client, customId, member } = interaction;
+    const [, action, importId] = customId.split(':');
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
+    const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+
+    const pending = pendingImports.get(importId);
+    if (!pending) {
+        return interaction.update({ content: t('PLAYLIST_IMPORT_EXPIRED'), embeds: [], components: [] });
+    }
+
+    if (pending.userId !== interaction.user.id) {
+        return interaction.reply({ content: t('PLAYLIST_IMPORT_NOT_YOURS'), flags: MessageFlags.Ephemeral });
+    }
+
+    if (action === 'cancel') {
+        clearTimeout(pending.timeout);
+        pendingImports.delete(importId);
+        return interaction.update({ content: t('PLAYLIST_IMPORT_CANCELLED'), embeds: [], components: [] });
+    }
+
+    const voiceChannel = member.voice.channel;
+    if (!voiceChannel) {
+        return interaction.reply({ content: t('NOT_IN_VOICE'), flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.deferUpdate();
+    const player = await connectPlayer(interaction, voiceChannel);
+    if (!player) return;
+
+    clearTimeout(pending.timeout);
+    pendingImports.delete(importId);
+
+    const { playlist } = pending;
+    const tracks = action === 'first' ? playlist.tracks.slice(0, FIRST_TRACKS_COUNT) : playlist.tracks;
+    const playNext = action === 'next';
+
+    logger.info(`Queued ${tracks.length} tracks from playlist "${playlist.name}" (${action}) in guild ${interaction.guildId}`);
+    await queueTracks(player, tracks, { playNext, shuffleIn: action === 'shuffle' });
+
+    await interaction.editReply({
+        content: formatQueuedMessage(client, lang, { tracks, playlist }, playNext),
+        embeds: [],
+        components: [],
+    });
+
+    await client.playerController.showPlayer(interaction.channel, player);
+}
+
+module.exports = {
+    createImportPrompt,
+    handleImportNavigation,
+};
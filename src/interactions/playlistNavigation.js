@@ -0,0 +1,80 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const PlaylistManager = require('../utils/PlaylistManager');
+
+const PLAYLISTS_PER_PAGE = 10;
+
+/**
+ * Gets the owner key for the playlists an interaction is looking at
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @param {boolean} server - Use the server's playlists instead of the user's own
+ * @returns {string} Owner key
+ */
+function getPlaylistOwnerKey(interaction, server) {
+    return server
+        ? PlaylistManager.getOwnerKey('guild', interaction.guildId)
+        : PlaylistManager.getOwnerKey('user', interaction.user.id);
+}
+
+function buildPlaylistListResponse(client, interaction, server, page, lang) {
+    const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+    const playlists = client.playlistManager.list(getPlaylistOwnerKey(interaction, server));
+    const title = t(server ? 'PLAYLIST_LIST_TITLE_GUILD' : 'PLAYLIST_LIST_TITLE_USER');
+
+    if (!playlists.length) {
+        return { content: t('PLAYLIST_LIST_EMPTY'), embeds: [], components: [] };
+    }
+
+    const totalPages = Math.ceil(playlists.length / PLAYLISTS_PER_PAGE);
+    const currentPage = Math.max(1, Math.min(page, totalPages));
+    const startIndex = (currentPage - 1) * PLAYLISTS_PER_PAGE;
+
+    const lines = playlists.slice(startIndex, startIndex + PLAYLISTS_PER_PAGE).map(playlist => {
+        const entry = t('PLAYLIST_LIST_ENTRY', playlist.name, playlist.tracks.length);
+        return server ? `${entry} · <@${playlist.createdBy}>` : entry;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(title)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: t('QUEUE_PAGE_FOOTER', currentPage, totalPages) });
+
+    const components = [];
+    if (totalPages > 1) {
+        const scope = server ? 'guild' : 'user';
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`playlist:page:${scope}:${currentPage - 1}`)
+                .setEmoji('◀️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === 1),
+            new ButtonBuilder()
+                .setCustomId(`playlist:page:${scope}:${currentPage + 1}`)
+                .setEmoji('▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === totalPages)
+        ));
+    }
+
+    return { content: '', embeds: [embed], components };
+}
+
+async function handlePlaylistNavigation(interaction) {
+    const { client, customId } = interaction;
+    const [, action, scope, pageStr] = customId.split(':');
+
+    if (action !== 'page') return;
+
+    const page = parseInt(pageStr);
+    if (isNaN(page)) return;
+
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
+    await interaction.update(buildPlaylistListResponse(client, interaction, scope === 'guild', page, lang));
+}
+
+module.exports = {
+    getPlaylistOwnerKey,
+    buildPlaylistListResponse,
+    handlePlaylistNavigation,
+};
@@ -2,12 +2,11 @@ const { MessageFlags } = require('discord.js');
 const searchSessions = require('../utils/searchSessions');
 const { isLavalinkAvailable } = require('../utils/interactionHelpers');
 const { createSearchEmbed, createSearchComponents } = require('../utils/embeds');
-const { getValidVolume } = require('../utils/volumeValidator');
 const logger = require('../utils/logger');
 
 async function handleSearchNavigation(interaction) {
     const { client, customId, user, guild } = interaction;
-    const lang = client.defaultLanguage;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
     try {
         const parts = customId.split(':');
@@ -84,11 +83,12 @@ async function handleSearchNavigation(interaction) {
                             // Create player if it doesn't exist
                             player = client.lavalink.createPlayer({
                                 guildId: guild.id,
+                                node: client.lavalinkConnectionManager.getBestNode()?.id,
                                 voiceChannelId: session.voiceChannelId,
                                 textChannelId: session.textChannelId,
                                 selfDeaf: true,
                                 selfMute: false,
-                                volume: getValidVolume(process.env.DEFAULT_VOLUME, 80),
+                                volume: client.guildSettings.get(guild.id).defaultVolume,
                             });
                         }
 
@@ -149,8 +149,8 @@ async function handleSearchNavigation(interaction) {
         if (shouldUpdate) {
             const pageData = searchSessions.getCurrentPageData(sessionId);
             if (pageData) {
-                const embed = createSearchEmbed(client, pageData, session.query);
-                const components = createSearchComponents(client, pageData, sessionId);
+                const embed = createSearchEmbed(client, pageData, session.query, lang);
+                const components = createSearchComponents(client, pageData, sessionId, lang);
                 await interaction.editReply({ embeds: [embed], components });
             }
         }
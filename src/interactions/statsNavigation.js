@@ -0,0 +1,133 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { filterEntries, computeStats } = require('../utils/listeningStats');
+const { truncateText } = require('../utils/trackSelectMenu');
+const { formatDuration } = require('../utils/embeds');
+const PlayHistory = require('../utils/PlayHistory');
+
+const TOP_LIMIT = 10;
+const BUSIEST_HOURS_LIMIT = 5;
+const BAR_WIDTH = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatTopList(items, formatLabel, t) {
+    return items.slice(0, TOP_LIMIT)
+        .map((item, index) => `${index + 1}. ${formatLabel(item)} · ${t('STATS_PLAY_COUNT', item.plays)}`)
+        .join('\n');
+}
+
+function formatBusiestHours(hours) {
+    const max = Math.max(...hours);
+    return hours
+        .map((plays, hour) => ({ hour, plays }))
+        .filter(({ plays }) => plays > 0)
+        .sort((a, b) => b.plays - a.plays)
+        .slice(0, BUSIEST_HOURS_LIMIT)
+        .map(({ hour, plays }) => {
+            const bar = '█'.repeat(Math.max(1, Math.round((plays / max) * BAR_WIDTH)));
+            return `\`${hour.toString().padStart(2, '0')}:00\` ${bar} ${plays}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Builds one page of the /stats view
+ *
+ * @param {import('discord.js').Interaction} interaction - Interaction the view belongs to
+ * @param {Object} filter
+ * @param {string|null} filter.userId - Requester to show stats for (whole server when null)
+ * @param {number|null} filter.days - Period in days (all time when null)
+ * @param {number} page - Page number (1-based)
+ * @param {string} lang - Language code
+ * @returns {Object} Reply/update payload
+ */
+function buildStatsResponse(interaction, { userId, days }, page, lang) {
+    const { client, guild } = interaction;
+    const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+
+    const allEntries = client.playHistory.getEntries(guild.id);
+    const entries = filterEntries(allEntries, { userId, days });
+    if (!entries.length) {
+        return { content: t('STATS_EMPTY'), embeds: [], components: [] };
+    }
+
+    const stats = computeStats(entries);
+    const subject = userId ? (client.users.cache.get(userId)?.username || userId) : guild.name;
+    let period = days ? t('STATS_PERIOD_DAYS', days) : t('STATS_PERIOD_ALL');
+
+    // The log keeps only the newest plays; say so when it doesn't reach back over the whole period
+    const oldestAt = allEntries[allEntries.length - 1].startedAt;
+    if (allEntries.length >= PlayHistory.MAX_ENTRIES_PER_GUILD && (!days || oldestAt > Date.now() - days * DAY_MS)) {
+        period += `\n${t('STATS_LIMITED', PlayHistory.MAX_ENTRIES_PER_GUILD, `<t:${Math.floor(oldestAt / 1000)}:D>`)}`;
+    }
+
+    // Top requesters only make sense for the whole server
+    const pages = [
+        embed => embed.addFields(
+            { name: t('STATS_PLAYS'), value: `${stats.plays}`, inline: true },
+            { name: t('STATS_LISTENING_TIME'), value: formatDuration(stats.listenedMs), inline: true },
+            { name: t('STATS_COMPLETED'), value: `${stats.completed}`, inline: true },
+            { name: t('STATS_SKIPPED'), value: `${stats.skipped}`, inline: true },
+            { name: t('STATS_BUSIEST_HOURS'), value: formatBusiestHours(stats.hours), inline: false }
+        ),
+        embed => embed.addFields({
+            name: t('STATS_TOP_TRACKS'),
+            value: formatTopList(stats.topTracks, item => truncateText(item.label, 60), t),
+        }),
+        embed => embed.addFields({
+            name: t('STATS_TOP_ARTISTS'),
+            value: formatTopList(stats.topArtists, item => truncateText(item.label, 40), t),
+        }),
+        ...(userId ? [] : [embed => embed.addFields({
+            name: t('STATS_TOP_REQUESTERS'),
+            value: formatTopList(stats.topRequesters, item => `<@${item.key}>`, t) || '-',
+        })]),
+    ];
+
+    const totalPages = pages.length;
+    const currentPage = Math.max(1, Math.min(page, totalPages));
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(t('STATS_TITLE', subject))
+        .setDescription(period)
+        .setFooter({ text: t('QUEUE_PAGE_FOOTER', currentPage, totalPages) });
+    pages[currentPage - 1](embed);
+
+    const state = `${userId || '-'}:${days || 0}`;
+    const navRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`stats:page:${currentPage - 1}:${state}`)
+            .setEmoji('◀️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage === 1),
+        new ButtonBuilder()
+            .setCustomId(`stats:page:${currentPage + 1}:${state}`)
+            .setEmoji('▶️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage === totalPages)
+    );
+
+    return { content: '', embeds: [embed], components: [navRow] };
+}
+
+async function handleStatsNavigation(interaction) {
+    const { client, customId } = interaction;
+    const [, action, pageStr, userId, daysStr] = customId.split(':');
+
+    if (action !== 'page') return;
+
+    const page = parseInt(pageStr);
+    if (isNaN(page)) return;
+
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
+    const filter = {
+        userId: userId && userId !== '-' ? userId : null,
+        days: parseInt(daysStr) || null,
+    };
+    await interaction.update(buildStatsResponse(interaction, filter, page, lang));
+}
+
+module.exports = {
+    buildStatsResponse,
+    handleStatsNavigation,
+};
@@ -0,0 +1,287 @@
+const JsonStore = require('./JsonStore');
+const PlaylistManager = require('./PlaylistManager');
+const { buildTrack } = require('./trackSerializer');
+const logger = require('./logger');
+
+const REJOIN_DELAY_MS = 5000;
+const MAX_REJOIN_ATTEMPTS = 5;
+// A fallback that ends again within this time is considered broken and not restarted
+const FALLBACK_MIN_INTERVAL_MS = 10000;
+
+/**
+ * 24/7 Mode
+ * Keeps the bot in a guild's voice channel regardless of the queue and
+ * listeners: rejoins after restarts and disconnects, and optionally plays a
+ * server playlist or stream URL whenever the queue runs dry.
+ *
+ * Stored per guild: { enabled, voiceChannelId, textChannelId, fallback }
+ * where fallback is { type: 'playlist', name } or { type: 'url', url }.
+ *
+ * @class AlwaysOnManager
+ */
+class AlwaysOnManager {
+    constructor(client) {
+        this.client = client;
+        this.store = new JsonStore('always-on.json');
+        this.rejoinTimeouts = new Map();
+        this.lastFallbackAt = new Map();
+    }
+
+    /**
+     * @param {string} guildId - Discord guild ID
+     * @returns {boolean} Whether 24/7 mode is on for the guild
+     */
+    isEnabled(guildId) {
+        return Boolean(this.store.get(guildId)?.enabled);
+    }
+
+    /**
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object|null} Stored 24/7 state
+     */
+    get(guildId) {
+        return this.store.get(guildId) || null;
+    }
+
+    /**
+     * Turns 24/7 mode on, keeping any fallback configured earlier
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {string} voiceChannelId - Channel to stay in
+     * @param {string} textChannelId - Channel to post the controller in after rejoining
+     */
+    enable(guildId, voiceChannelId, textChannelId) {
+        this.store.set(guildId, { ...this.get(guildId), enabled: true, voiceChannelId, textChannelId });
+    }
+
+    disable(guildId) {
+        const state = this.get(guildId);
+        if (state) this.store.set(guildId, { ...state, enabled: false });
+        this.clearRejoin(guildId);
+    }
+
+    /**
+     * Forgets everything about a guild (e.g. the bot was removed from it)
+     *
+     * @param {string} guildId - Discord guild ID
+     */
+    remove(guildId) {
+        this.store.delete(guildId);
+        this.clearRejoin(guildId);
+        this.lastFallbackAt.delete(guildId);
+    }
+
+    /**
+     * @param {string} guildId - Discord guild ID
+     * @param {Object|null} fallback - { type: 'playlist', name } or { type: 'url', url }, null to remove
+     */
+    setFallback(guildId, fallback) {
+        this.store.set(guildId, { ...this.get(guildId), fallback });
+    }
+
+    /**
+     * Remembers the new channel when the bot is moved while 24/7 mode is on
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {string} voiceChannelId - Channel the bot is now in
+     */
+    updateChannel(guildId, voiceChannelId) {
+        const state = this.get(guildId);
+        if (state?.enabled && state.voiceChannelId !== voiceChannelId) {
+            this.store.set(guildId, { ...state, voiceChannelId });
+        }
+    }
+
+    /**
+     * Connects to the stored voice channel, creating the player if needed.
+     * Turns 24/7 mode off if the channel no longer exists.
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Object|null>} Connected player
+     */
+    async join(guildId) {
+        const { client } = this;
+        const state = this.get(guildId);
+        if (!state?.enabled) return null;
+
+        const voiceChannel = client.guilds.cache.get(guildId)?.channels.cache.get(state.voiceChannelId);
+        if (!voiceChannel) {
+            logger.warn(`24/7 channel for guild ${guildId} no longer exists, turning 24/7 mode off`);
+            this.disable(guildId);
+            return null;
+        }
+
+        let player = client.lavalink.getPlayer(guildId);
+        if (!player) {
+            player = client.lavalink.createPlayer({
+                guildId,
+                node: client.lavalinkConnectionManager.getBestNode()?.id,
+                voiceChannelId: voiceChannel.id,
+                textChannelId: state.textChannelId,
+                selfDeaf: true,
+                selfMute: false,
+                volume: client.guildSettings.get(guildId).defaultVolume,
+            });
+        }
+
+        if (!player.connected) {
+            await player.connect();
+        }
+        return player;
+    }
+
+    /**
+     * Rejoins and starts the fallback, posting the controller if something plays
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<boolean>} True if the bot is back in its channel
+     */
+    async rejoin(guildId) {
+        const player = await this.join(guildId);
+        if (!player) return false;
+
+        if (!player.queue.current && await this.playFallback(player)) {
+            const textChannel = await this.client.channels.fetch(this.get(guildId).textChannelId).catch(() => null);
+            if (textChannel) {
+                await this.client.playerController.showPlayer(textChannel, player).catch(error => {
+                    logger.warn(`Failed to post controller for guild ${guildId}:`, error.message);
+                });
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Rejoins a guild's channel after the bot was disconnected, retrying a few
+     * times while Lavalink is unavailable or a recovered player is pending
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {number} [attempt=1] - Attempt number
+     */
+    scheduleRejoin(guildId, attempt = 1) {
+        this.clearRejoin(guildId);
+        if (attempt > MAX_REJOIN_ATTEMPTS) {
+            logger.warn(`Giving up rejoining the 24/7 channel in guild ${guildId}`);
+            return;
+        }
+
+        const timeout = setTimeout(async () => {
+            this.rejoinTimeouts.delete(guildId);
+            const { client } = this;
+            if (!this.isEnabled(guildId)) return;
+
+            // PlayerPersistence rebuilds players lost with their node, with their queue
+            if (!client.lavalinkConnectionManager.isAvailable() || client.playerPersistence.pendingRecovery.has(guildId)) {
+                this.scheduleRejoin(guildId, attempt + 1);
+                return;
+            }
+
+            try {
+                if (await this.rejoin(guildId)) {
+                    logger.info(`Rejoined 24/7 channel in guild ${guildId}`);
+                }
+            } catch (error) {
+                logger.error(`Failed to rejoin 24/7 channel in guild ${guildId}:`, error);
+                this.scheduleRejoin(guildId, attempt + 1);
+            }
+        }, REJOIN_DELAY_MS * attempt);
+        this.rejoinTimeouts.set(guildId, timeout);
+    }
+
+    clearRejoin(guildId) {
+        if (this.rejoinTimeouts.has(guildId)) {
+            clearTimeout(this.rejoinTimeouts.get(guildId));
+            this.rejoinTimeouts.delete(guildId);
+        }
+    }
+
+    /**
+     * Rejoins every 24/7 guild that didn't get its player back from
+     * PlayerPersistence. Called once on startup.
+     */
+    async rejoinAll() {
+        const guildIds = this.store.keys().filter(guildId => this.isEnabled(guildId));
+        if (!guildIds.length) return;
+
+        if (!(await this.client.playerPersistence.waitForNode())) {
+            logger.warn('Lavalink not available, skipping 24/7 rejoin');
+            return;
+        }
+
+        let rejoined = 0;
+        for (const guildId of guildIds) {
+            if (this.client.lavalink.getPlayer(guildId)) continue;
+
+            try {
+                if (await this.rejoin(guildId)) rejoined++;
+            } catch (error) {
+                logger.error(`Failed to rejoin 24/7 channel in guild ${guildId}:`, error);
+            }
+        }
+
+        if (rejoined > 0) {
+            logger.info(`Rejoined ${rejoined} 24/7 channel(s)`);
+        }
+    }
+
+    async loadFallbackTracks(player, fallback) {
+        const { client } = this;
+
+        if (fallback.type === 'playlist') {
+            const playlist = client.playlistManager.get(PlaylistManager.getOwnerKey('guild', player.guildId), fallback.name);
+            return (playlist?.tracks || []).map(data => buildTrack(client, data, client.user)).filter(Boolean);
+        }
+
+        const res = await player.search({ query: fallback.url }, client.user);
+        if (!res?.tracks?.length) return [];
+        return res.loadType === 'playlist' ? res.tracks : [res.tracks[0]];
+    }
+
+    /**
+     * Queues and starts the guild's fallback playlist or stream
+     *
+     * @param {Object} player - Lavalink player with an empty queue
+     * @returns {Promise<boolean>} True if the fallback started
+     */
+    async playFallback(player) {
+        const { guildId } = player;
+        const fallback = this.get(guildId)?.fallback;
+        if (!this.isEnabled(guildId) || !fallback || player.queue.current) return false;
+
+        const lastStarted = this.lastFallbackAt.get(guildId) || 0;
+        if (Date.now() - lastStarted < FALLBACK_MIN_INTERVAL_MS) {
+            logger.warn(`24/7 fallback in guild ${guildId} ended right after starting, not restarting it`);
+            return false;
+        }
+
+        try {
+            const tracks = await this.loadFallbackTracks(player, fallback);
+            if (!tracks.length) {
+                logger.warn(`24/7 fallback for guild ${guildId} could not be loaded`);
+                return false;
+            }
+
+            // Shown and logged like autoplay picks
+            for (const track of tracks) {
+                track.userData = { ...track.userData, autoplay: true };
+            }
+
+            this.lastFallbackAt.set(guildId, Date.now());
+            await player.queue.add(tracks);
+            await player.play();
+            return true;
+        } catch (error) {
+            logger.error(`Failed to play 24/7 fallback in guild ${guildId}:`, error);
+            return false;
+        }
+    }
+
+    destroy() {
+        for (const timeout of this.rejoinTimeouts.values()) {
+            clearTimeout(timeout);
+        }
+        this.rejoinTimeouts.clear();
+    }
+}
+
+module.exports = AlwaysOnManager;
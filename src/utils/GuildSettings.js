@@ -0,0 +1,108 @@
+const JsonStore = require('./JsonStore');
+const { getValidVolume } = require('./volumeValidator');
+
+function parseAllowedRoles(value) {
+    return (value || '')
+        .split(',')
+        .map(role => role.trim())
+        .filter(role => role);
+}
+
+function parseTimeout(value, defaultValue) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) || parsed < 0 ? defaultValue : parsed;
+}
+
+function parsePercentage(value, defaultValue) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) || parsed < 1 || parsed > 100 ? defaultValue : parsed;
+}
+
+// Bot-wide defaults from the environment, used for any key a guild hasn't set
+const ENV_DEFAULTS = Object.freeze({
+    defaultVolume: getValidVolume(process.env.DEFAULT_VOLUME, 80),
+    autoplayDefault: process.env.AUTOPLAY_DEFAULT === 'true',
+    language: process.env.DEFAULT_LANGUAGE || 'en',
+    useUserLocale: process.env.USE_USER_LOCALE === 'true',
+    allowedRoles: Object.freeze(parseAllowedRoles(process.env.ALLOWED_ROLES)),
+    queueEmptyDestroyMs: parseTimeout(process.env.QUEUE_EMPTY_DESTROY_MS, 30000),
+    emptyChannelDestroyMs: parseTimeout(process.env.EMPTY_CHANNEL_DESTROY_MS, 60000),
+    seekButtons: process.env.SEEK_BUTTONS === 'true',
+    stickyPlayer: process.env.STICKY_PLAYER === 'true',
+    djMode: process.env.DJ_MODE === 'true',
+    djRoles: Object.freeze(parseAllowedRoles(process.env.DJ_ROLES)),
+    voteSkip: process.env.VOTE_SKIP === 'true',
+    voteSkipThreshold: parsePercentage(process.env.VOTE_SKIP_THRESHOLD, 50),
+});
+
+const SETTING_KEYS = Object.keys(ENV_DEFAULTS);
+
+/**
+ * Guild Settings Manager
+ * Persists per-guild overrides of the bot-wide env configuration
+ *
+ * @class GuildSettings
+ */
+class GuildSettings {
+    constructor() {
+        this.store = new JsonStore('guild-settings.json');
+    }
+
+    /**
+     * Gets the effective settings for a guild (overrides merged over env defaults)
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object} Settings object containing every key in ENV_DEFAULTS
+     */
+    get(guildId) {
+        return { ...ENV_DEFAULTS, ...this.getOverrides(guildId) };
+    }
+
+    /**
+     * Gets only the values explicitly configured for a guild
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object} Guild overrides (may be empty)
+     */
+    getOverrides(guildId) {
+        return (guildId && this.store.get(guildId)) || {};
+    }
+
+    /**
+     * Sets a single setting for a guild
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {string} key - One of SETTING_KEYS
+     * @param {*} value - New value
+     */
+    set(guildId, key, value) {
+        if (!SETTING_KEYS.includes(key)) {
+            throw new Error(`Unknown guild setting "${key}"`);
+        }
+        this.store.set(guildId, { ...this.getOverrides(guildId), [key]: value });
+    }
+
+    /**
+     * Removes a guild override (or all of them) so the env default applies again
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {string} [key] - Setting to reset; resets everything when omitted
+     */
+    reset(guildId, key) {
+        if (!key) {
+            this.store.delete(guildId);
+            return;
+        }
+
+        const { [key]: _removed, ...rest } = this.getOverrides(guildId);
+        if (Object.keys(rest).length === 0) {
+            this.store.delete(guildId);
+        } else {
+            this.store.set(guildId, rest);
+        }
+    }
+}
+
+module.exports = GuildSettings;
+module.exports.ENV_DEFAULTS = ENV_DEFAULTS;
+module.exports.SETTING_KEYS = SETTING_KEYS;
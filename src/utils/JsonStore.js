@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+const SAVE_DEBOUNCE_MS = 1000;
+
+/**
+ * File-backed key/value store
+ * Keeps the whole document in memory and writes it back to a JSON file in
+ * DATA_DIR whenever it changes. Writes are debounced and go through a
+ * temporary file + rename so a crash mid-write never leaves a corrupt file.
+ *
+ * @class JsonStore
+ */
+class JsonStore {
+    static instances = new Set();
+
+    /**
+     * @param {string} fileName - File name inside DATA_DIR (e.g. "guild-settings.json")
+     */
+    constructor(fileName) {
+        this.filePath = path.join(DATA_DIR, fileName);
+        this.saveTimer = null;
+        this.data = this.load();
+        JsonStore.instances.add(this);
+    }
+
+    /**
+     * Reads the file from disk, falling back to an empty document
+     * @returns {Object} Parsed document
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return {};
+            const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (error) {
+            logger.error(`Failed to read ${this.filePath}, starting with empty data:`, error.message);
+            return {};
+        }
+    }
+
+    get(key) {
+        return this.data[key];
+    }
+
+    has(key) {
+        return Object.hasOwn(this.data, key);
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+        this.scheduleSave();
+    }
+
+    delete(key) {
+        if (!this.has(key)) return false;
+        delete this.data[key];
+        this.scheduleSave();
+        return true;
+    }
+
+    keys() {
+        return Object.keys(this.data);
+    }
+
+    /**
+     * Queues a write to disk, coalescing bursts of changes into one write
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, SAVE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Writes the document to disk immediately
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error(`Failed to write ${this.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Flushes every store with pending changes (used on shutdown)
+     */
+    static flushAll() {
+        for (const store of JsonStore.instances) {
+            if (store.saveTimer) store.flush();
+        }
+    }
+}
+
+module.exports = JsonStore;
@@ -1,4 +1,5 @@
 const logger = require('./logger');
+const { getNodePenalty } = require('./lavalinkNodes');
 
 const CONNECTION_TIMEOUT_MS = 15000;
 const JITTER_MS = 1000;
@@ -8,6 +9,7 @@ const MONITORING_FALLBACK_TIMEOUT_MS = 120000;
 const CRITICAL_TIMEOUT_MS = 300000;
 const PERIODIC_RESET_INTERVAL_MS = 60 * 60 * 1000;
 const PING_TIMEOUT_MS = 30 * 60 * 1000;
+const RESUME_TIMEOUT_MS = parseInt(process.env.LAVALINK_RESUME_TIMEOUT_MS || "60000", 10);
 
 class LavalinkConnectionManager {
     constructor(client) {
@@ -24,14 +26,54 @@ class LavalinkConnectionManager {
             isReconnecting: false,
             cooldownUntil: 0,
             isInitialized: false,
-            hasHadSuccessfulConnection: false
+            hasHadSuccessfulConnection: false,
+            lastSessionIds: new Map() // Node ID -> last session ID, for resuming
         };
     }
 
-    // Check if Lavalink is available
+    // Check if Lavalink is available (any node connected)
     isAvailable() {
-        const mainNode = this.client.lavalink.nodeManager.nodes.get('main-node');
-        return mainNode && mainNode.connected;
+        for (const node of this.client.lavalink.nodeManager.nodes.values()) {
+            if (node.connected) return true;
+        }
+        return false;
+    }
+
+    // IDs of every node the bot should keep connected
+    getConfiguredNodeIds() {
+        return (this.client.lavalinkNodeConfigs || []).map(config => config.id);
+    }
+
+    // Nodes that are missing or disconnected and not retrying on their own
+    getUnhealthyNodeIds() {
+        const { nodes } = this.client.lavalink.nodeManager;
+        return this.getConfiguredNodeIds().filter(id => {
+            const node = nodes.get(id);
+            return !node || (!node.connected && !node.isNodeReconnecting);
+        });
+    }
+
+    /**
+     * Picks the least-loaded connected node for a new or migrating player
+     *
+     * @param {string} [excludeId] - Node to leave out (e.g. the one going down)
+     * @returns {Object|undefined} Lavalink node
+     */
+    getBestNode(excludeId) {
+        let best;
+        let bestPenalty = Infinity;
+
+        for (const node of this.client.lavalink.nodeManager.nodes.values()) {
+            if (!node.connected || node.id === excludeId) continue;
+
+            const penalty = getNodePenalty(node);
+            if (penalty < bestPenalty) {
+                best = node;
+                bestPenalty = penalty;
+            }
+        }
+
+        return best;
     }
 
     // Check if Lavalink manager is ready
@@ -55,11 +97,11 @@ class LavalinkConnectionManager {
         let lastHealthStatus = true; // Track if we were healthy last time
         
         this.state.healthCheckInterval = setInterval(() => {
-            const mainNode = this.client.lavalink.nodeManager.nodes.get('main-node');
-            const isCurrentlyHealthy = mainNode && mainNode.connected;
+            const unhealthyNodeIds = this.getUnhealthyNodeIds();
+            const isCurrentlyHealthy = unhealthyNodeIds.length === 0;
             
             if (!isCurrentlyHealthy) {
-                logger.warn('Health check: Node not connected, attempting reconnection...');
+                logger.warn(`Health check: ${unhealthyNodeIds.join(', ')} not connected, attempting reconnection...`);
                 lastHealthStatus = false;
                 this.attemptReconnection();
             } else {
@@ -68,7 +110,7 @@ class LavalinkConnectionManager {
 
                 // Only log if status changed from unhealthy to healthy
                 if (!lastHealthStatus) {
-                    logger.debug('Health check: Node is healthy');
+                    logger.debug('Health check: All nodes are healthy');
                     lastHealthStatus = true;
                 }
 
@@ -88,10 +130,9 @@ class LavalinkConnectionManager {
         }
         
         this.state.periodicResetInterval = setInterval(() => {
-            const mainNode = this.client.lavalink.nodeManager.nodes.get('main-node');
             const timeSinceLastPing = Date.now() - this.state.lastPing;
             
-            if (!mainNode || !mainNode.connected || timeSinceLastPing > PING_TIMEOUT_MS) {
+            if (this.getUnhealthyNodeIds().length > 0 || timeSinceLastPing > PING_TIMEOUT_MS) {
                 logger.debug('Periodic reset: No recent connection activity, attempting reconnection...');
                 this.state.reconnectAttempts = 0; // Reset attempts
                 this.attemptReconnection();
@@ -100,7 +141,7 @@ class LavalinkConnectionManager {
     }
 
     // Get node config based on mode (local or public)
-    async getNodeConfig() {
+    async getNodeConfig(nodeId) {
         if (this.client.lavalinkMode === 'public') {
             const provider = this.client.publicNodeProvider;
             let nodeConfig = provider.getNextNode();
@@ -119,16 +160,112 @@ class LavalinkConnectionManager {
             return nodeConfig;
         }
 
+        const nodeConfig = this.client.lavalinkNodeConfigs.find(config => config.id === nodeId);
+        const lastSessionId = this.state.lastSessionIds.get(nodeId);
+
         return {
-            host: process.env.LAVALINK_HOST,
-            port: parseInt(process.env.LAVALINK_PORT, 10),
-            authorization: process.env.LAVALINK_PASSWORD,
-            id: 'main-node',
-            reconnectTimeout: 10000,
-            reconnectTries: 3,
+            ...nodeConfig,
+            // Same server, so try to pick up the previous session and its players
+            ...(RESUME_TIMEOUT_MS > 0 && lastSessionId && { sessionId: lastSessionId }),
         };
     }
 
+    // Recreate a single node and wait for it to connect
+    async reconnectNode(nodeId) {
+        const existingNode = this.client.lavalink.nodeManager.nodes.get(nodeId);
+
+        // Destroy existing node if it exists but is disconnected
+        if (existingNode) {
+            // Move players to a healthy node, and snapshot the rest so they are recreated once a node is back
+            await this.migratePlayers(existingNode);
+            this.client.playerPersistence.saveAll();
+
+            logger.debug(`Destroying existing disconnected node ${nodeId}...`);
+            try {
+                await existingNode.destroy();
+            } catch (error) {
+                logger.debug('Error destroying existing node:', error.message);
+            }
+        }
+
+        // Get node config based on mode
+        const nodeConfig = await this.getNodeConfig(nodeId);
+
+        // Create new node
+        logger.debug(`Connecting to Lavalink server at ${nodeConfig.host}:${nodeConfig.port}...`);
+
+        let newNode;
+        try {
+            newNode = this.client.lavalink.nodeManager.createNode(nodeConfig);
+        } catch (error) {
+            throw new Error(`Failed to create node: ${error.message}`);
+        }
+        
+        // Validate the created node
+        if (!newNode) {
+            throw new Error('Node creation failed - no node object returned');
+        }
+        
+        // Wait for connection with proper error handling
+        const connected = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                // Clean up event listeners before rejecting
+                if (typeof newNode.off === 'function') {
+                    newNode.off('connect', onConnect);
+                    newNode.off('error', onError);
+                }
+                reject(new Error('Connection timeout'));
+            }, CONNECTION_TIMEOUT_MS);
+            
+            const onConnect = () => {
+                clearTimeout(timeout);
+                // Clean up event listeners on success
+                if (typeof newNode.off === 'function') {
+                    newNode.off('connect', onConnect);
+                    newNode.off('error', onError);
+                }
+                resolve();
+            };
+            
+            const onError = (error) => {
+                clearTimeout(timeout);
+                // Clean up event listeners on error
+                if (typeof newNode.off === 'function') {
+                    newNode.off('connect', onConnect);
+                    newNode.off('error', onError);
+                }
+                reject(error);
+            };
+            
+            // Check if the node has the event methods
+            if (typeof newNode.once === 'function') {
+                newNode.once('connect', onConnect);
+                newNode.once('error', onError);
+            } else {
+                // If the node doesn't have event methods, wait a bit and check if it's connected
+                setTimeout(() => {
+                    if (newNode.connected) {
+                        clearTimeout(timeout);
+                        resolve();
+                    } else {
+                        clearTimeout(timeout);
+                        reject(new Error('Node created but not connected'));
+                    }
+                }, 2000);
+            }
+        });
+
+        try {
+            await connected;
+        } catch (error) {
+            // Remember the failure so the next rotation prefers another public node
+            if (this.client.lavalinkMode === 'public') {
+                this.client.publicNodeProvider.recordFailure(nodeConfig);
+            }
+            throw error;
+        }
+    }
+
     // Reconnection logic
     async attemptReconnection() {
         if (this.state.isReconnecting) {
@@ -150,92 +287,22 @@ class LavalinkConnectionManager {
         logger.debug('Starting Lavalink reconnection process...');
         
         try {
-            const mainNode = this.client.lavalink.nodeManager.nodes.get('main-node');
-            
-            if (mainNode && mainNode.connected) {
-                logger.debug('Node is already connected, skipping reconnection');
+            const unhealthyNodeIds = this.getUnhealthyNodeIds();
+
+            if (unhealthyNodeIds.length === 0) {
+                logger.debug('All nodes are connected or reconnecting on their own, skipping reconnection');
                 this.state.isReconnecting = false;
                 return;
             }
 
-            // Destroy existing node if it exists but is disconnected
-            if (mainNode) {
-                logger.debug('Destroying existing disconnected node...');
-                try {
-                    await mainNode.destroy();
-                } catch (error) {
-                    logger.debug('Error destroying existing node:', error.message);
-                }
-            }
-
-            // Get node config based on mode
-            const nodeConfig = await this.getNodeConfig();
-
-            // Create new node
             logger.info(`Reconnecting Lavalink (attempt ${this.state.reconnectAttempts + 1}/${this.state.maxReconnectAttempts})...`);
-            logger.debug(`Connecting to Lavalink server at ${nodeConfig.host}:${nodeConfig.port}...`);
 
-            let newNode;
-            try {
-                newNode = this.client.lavalink.nodeManager.createNode(nodeConfig);
-            } catch (error) {
-                throw new Error(`Failed to create node: ${error.message}`);
+            const results = await Promise.allSettled(unhealthyNodeIds.map(nodeId => this.reconnectNode(nodeId)));
+            const failures = results.filter(result => result.status === 'rejected');
+            if (failures.length > 0) {
+                throw new Error(failures.map(result => result.reason.message).join('; '));
             }
-            
-            // Validate the created node
-            if (!newNode) {
-                throw new Error('Node creation failed - no node object returned');
-            }
-            
-            // Wait for connection with proper error handling
-            await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    // Clean up event listeners before rejecting
-                    if (typeof newNode.off === 'function') {
-                        newNode.off('connect', onConnect);
-                        newNode.off('error', onError);
-                    }
-                    reject(new Error('Connection timeout'));
-                }, CONNECTION_TIMEOUT_MS);
-                
-                const onConnect = () => {
-                    clearTimeout(timeout);
-                    // Clean up event listeners on success
-                    if (typeof newNode.off === 'function') {
-                        newNode.off('connect', onConnect);
-                        newNode.off('error', onError);
-                    }
-                    resolve();
-                };
-                
-                const onError = (error) => {
-                    clearTimeout(timeout);
-                    // Clean up event listeners on error
-                    if (typeof newNode.off === 'function') {
-                        newNode.off('connect', onConnect);
-                        newNode.off('error', onError);
-                    }
-                    reject(error);
-                };
-                
-                // Check if the node has the event methods
-                if (typeof newNode.once === 'function') {
-                    newNode.once('connect', onConnect);
-                    newNode.once('error', onError);
-                } else {
-                    // If the node doesn't have event methods, wait a bit and check if it's connected
-                    setTimeout(() => {
-                        if (newNode.connected) {
-                            clearTimeout(timeout);
-                            resolve();
-                        } else {
-                            clearTimeout(timeout);
-                            reject(new Error('Node created but not connected'));
-                        }
-                    }, 2000);
-                }
-            });
-            
+
             logger.info('Lavalink reconnection successful');
             this.state.reconnectAttempts = 0;
             this.state.isReconnecting = false;
@@ -278,7 +345,7 @@ class LavalinkConnectionManager {
 
     // Handle connection events
     onConnect(node) {
-        logger.info('Lavalink node connected successfully');
+        logger.info(`Lavalink node ${node.id} connected successfully`);
         this.state.lastPing = Date.now();
         this.state.reconnectAttempts = 0;
         this.state.isReconnecting = false;
@@ -303,6 +370,70 @@ class LavalinkConnectionManager {
         }
     }
 
+    /**
+     * Moves every player off a node that went down to the least-loaded healthy node.
+     * Players that can't be moved are recreated from their snapshot.
+     *
+     * @param {Object} node - Lavalink node that is down
+     */
+    async migratePlayers(node) {
+        const players = [...this.client.lavalink.players.values()].filter(player => player.node?.id === node.id);
+        if (players.length === 0) return;
+
+        let moved = 0;
+        for (const player of players) {
+            const target = this.getBestNode(node.id);
+            if (!target) {
+                logger.debug(`No healthy node to move players from ${node.id} to`);
+                break;
+            }
+
+            try {
+                await player.changeNode(target);
+                moved++;
+            } catch (error) {
+                logger.warn(`Failed to move player for guild ${player.guildId} to ${target.id}:`, error.message);
+                await this.client.playerPersistence.recreate(player);
+            }
+        }
+
+        if (moved > 0) {
+            logger.info(`Moved ${moved} player(s) from ${node.id} to healthy nodes`);
+        }
+        await this.client.playerPersistence.restorePending();
+    }
+
+    // Enable session resuming so players survive short websocket drops
+    async enableResuming(node) {
+        if (RESUME_TIMEOUT_MS <= 0 || !node.sessionId) return;
+
+        try {
+            await node.updateSession(true, Math.ceil(RESUME_TIMEOUT_MS / 1000));
+            // Sent as the Session-Id header on every reconnect of this node
+            node.options.sessionId = node.sessionId;
+            this.state.lastSessionIds.set(node.id, node.sessionId);
+        } catch (error) {
+            logger.warn('Failed to enable Lavalink session resuming:', error.message);
+        }
+    }
+
+    // Handle the node's "ready" op, sent once per (re)connected session
+    onReady(node, payload) {
+        if (payload.resumed) {
+            logger.info('Lavalink session resumed');
+        } else if (node.options.sessionId) {
+            logger.warn('Lavalink session could not be resumed, reattaching players to a new session...');
+        }
+
+        // The node stores the new session ID right after emitting the payload
+        setImmediate(async () => {
+            await this.enableResuming(node);
+            await this.client.playerPersistence.recoverNode(node, payload.resumed).catch(error => {
+                logger.error('Failed to recover players after Lavalink reconnect:', error);
+            });
+        });
+    }
+
     onError(node, error) {
         // Don't log or handle errors during startup
         if (!this.state.isInitialized) {
@@ -329,7 +460,17 @@ class LavalinkConnectionManager {
         
         // Only log disconnects if we've had a successful connection before
         if (this.state.hasHadSuccessfulConnection) {
-            logger.warn(`Lavalink node disconnected (reason: ${reason.reason || 'Unknown'})`);
+            logger.warn(`Lavalink node ${node.id} disconnected (reason: ${reason.reason || 'Unknown'})`);
+
+            // Keep snapshots current in case the session can't be resumed
+            this.client.playerPersistence.saveAll();
+
+            // With other nodes up, don't wait for this one: move its players over
+            if (this.getBestNode(node.id)) {
+                this.migratePlayers(node).catch(error => {
+                    logger.error('Failed to migrate players:', error);
+                });
+            }
 
             // Clear health check interval
             if (this.state.healthCheckInterval) {
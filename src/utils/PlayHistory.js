@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const JsonStore = require('./JsonStore');
+const { serializeTrack } = require('./trackSerializer');
+
+const MAX_ENTRIES_PER_GUILD = 500;
+
+/**
+ * Play History
+ * Persists a per-guild log of every track played: who requested it, when it
+ * started, whether autoplay picked it and how it ended.
+ *
+ * Entry status is one of:
+ * - playing: still playing (or the bot stopped before it ended)
+ * - completed: played to the end
+ * - skipped: ended early by a skip, jump or back
+ * - stopped: the player was stopped or disconnected
+ * - failed: Lavalink could not play it
+ *
+ * @class PlayHistory
+ */
+class PlayHistory {
+    static MAX_ENTRIES_PER_GUILD = MAX_ENTRIES_PER_GUILD;
+
+    constructor() {
+        this.store = new JsonStore('play-history.json');
+    }
+
+    /**
+     * Gets a guild's play log, newest first
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object[]} History entries
+     */
+    getEntries(guildId) {
+        return [...(this.store.get(guildId) || [])].reverse();
+    }
+
+    /**
+     * Records that a track started playing
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {Object} track - Lavalink track
+     */
+    recordStart(guildId, track) {
+        const stored = serializeTrack(track);
+        if (!stored) return;
+
+        const entries = this.store.get(guildId) || [];
+        this.closeOpenEntries(entries, 'stopped');
+
+        entries.push({
+            id: crypto.randomBytes(6).toString('hex'),
+            // Uploads keep their expiry so requeueing can skip dead links
+            track: stored.userData.attachment
+                ? { encoded: stored.encoded, info: stored.info, userData: { attachment: stored.userData.attachment } }
+                : { encoded: stored.encoded, info: stored.info },
+            requester: stored.requester,
+            autoplay: Boolean(track.userData?.autoplay),
+            startedAt: Date.now(),
+            endedAt: null,
+            listenedMs: 0,
+            status: 'playing',
+        });
+
+        if (entries.length > MAX_ENTRIES_PER_GUILD) {
+            entries.splice(0, entries.length - MAX_ENTRIES_PER_GUILD);
+        }
+        this.store.set(guildId, entries);
+    }
+
+    /**
+     * Records how a track ended
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {Object} track - Lavalink track
+     * @param {Object} payload - Lavalink TrackEndEvent payload
+     */
+    recordEnd(guildId, track, payload) {
+        const entries = this.store.get(guildId);
+        const entry = entries?.findLast(e => e.status === 'playing');
+        if (!entry || (track?.encoded && entry.track.encoded !== track.encoded)) return;
+
+        switch (payload?.reason) {
+            case 'finished': this.closeEntry(entry, 'completed'); break;
+            case 'loadFailed': this.closeEntry(entry, 'failed'); break;
+            default: this.closeEntry(entry, 'skipped');
+        }
+        this.store.set(guildId, entries);
+    }
+
+    /**
+     * Marks whatever is still playing in a guild as stopped
+     *
+     * @param {string} guildId - Discord guild ID
+     */
+    recordStop(guildId) {
+        const entries = this.store.get(guildId);
+        if (entries && this.closeOpenEntries(entries, 'stopped')) {
+            this.store.set(guildId, entries);
+        }
+    }
+
+    closeEntry(entry, status) {
+        entry.status = status;
+        entry.endedAt = Date.now();
+        entry.listenedMs = Math.min(entry.endedAt - entry.startedAt, entry.track.info?.duration || Infinity);
+    }
+
+    closeOpenEntries(entries, status) {
+        const open = entries.filter(entry => entry.status === 'playing');
+        open.forEach(entry => this.closeEntry(entry, status));
+        return open.length > 0;
+    }
+}
+
+module.exports = PlayHistory;
@@ -4,6 +4,12 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
 const { createTrackSelectMenu, truncateText } = require('./trackSelectMenu');
 
+// Most tracks a single request may add from a playlist or album (0 = no limit)
+const PLAYLIST_TRACK_LIMIT = (() => {
+    const value = parseInt(process.env.PLAYLIST_TRACK_LIMIT || "200", 10);
+    return isNaN(value) || value < 0 ? 200 : value;
+})();
+
 /**
  * Plays the previous track from the queue history.
  * Returns the track that started playing, or null if none.
@@ -46,6 +52,129 @@ function clearQueue(player) {
     player.queue.tracks.splice(0, len);
 }
 
+/**
+ * Summarises a playlist or album search result and applies PLAYLIST_TRACK_LIMIT.
+ * Tracks Lavalink couldn't resolve (no encoded data) are left out and counted.
+ *
+ * @param {Object} res - Search result with loadType 'playlist'
+ * @returns {Object} { name, uri, thumbnail, tracks, total, failed, skipped, duration }
+ */
+function preparePlaylist(res) {
+    const playable = res.tracks.filter(track => track?.encoded && track.info);
+    const tracks = PLAYLIST_TRACK_LIMIT ? playable.slice(0, PLAYLIST_TRACK_LIMIT) : playable;
+
+    return {
+        name: res.playlist?.title || res.playlist?.name || 'Unknown',
+        uri: res.playlist?.uri || null,
+        thumbnail: res.playlist?.thumbnail || null,
+        tracks,
+        total: res.tracks.length,
+        failed: res.tracks.length - playable.length,
+        skipped: playable.length - tracks.length,
+        duration: tracks.reduce((total, track) => total + (track.info.isStream ? 0 : track.info.duration || 0), 0),
+    };
+}
+
+/**
+ * Adds tracks to the queue, optionally shuffled in between the tracks
+ * already queued, and starts playback if the player is idle
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {Array} tracks - Tracks to add
+ * @param {Object} [options]
+ * @param {boolean} [options.playNext=false] - Queue at the front instead of the end
+ * @param {boolean} [options.shuffleIn=false] - Insert each track at a random position
+ * @param {boolean} [options.startPlaying=true] - Start playback if idle
+ */
+async function queueTracks(player, tracks, { playNext = false, shuffleIn = false, startPlaying = true } = {}) {
+    if (shuffleIn) {
+        const merged = [...player.queue.tracks];
+        for (const track of tracks) {
+            merged.splice(Math.floor(Math.random() * (merged.length + 1)), 0, track);
+        }
+        await player.queue.splice(0, player.queue.tracks.length, merged);
+    } else {
+        await player.queue.add(tracks, playNext ? 0 : undefined);
+    }
+
+    if (startPlaying && !player.playing) {
+        player.play();
+    }
+}
+
+/**
+ * Resolves a query (URL or search terms) and adds the result to the queue:
+ * the tracks of a playlist (up to PLAYLIST_TRACK_LIMIT), otherwise the best
+ * match. Starts playback if the player is idle.
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {string} query - URL or search terms
+ * @param {Object} requester - Discord user that asked for it
+ * @param {Object} [options]
+ * @param {boolean} [options.playNext=false] - Queue at the front instead of the end
+ * @param {boolean} [options.startPlaying=true] - Start playback if idle (off when queueing several queries in a row)
+ * @param {string} [options.source] - Search prefix (e.g. 'scsearch'); DEFAULT_SEARCH_PLATFORM when omitted
+ * @returns {Promise<Object|null>} { tracks, playlist } that were queued (playlist from
+ *     preparePlaylist, or null for a single track), or null if nothing was found
+ */
+async function queueQuery(player, query, requester, { playNext = false, startPlaying = true, source } = {}) {
+    const res = await player.search({ query, source }, requester);
+    if (!res || !res.tracks.length) return null;
+
+    const playlist = res.loadType === 'playlist' ? preparePlaylist(res) : null;
+    const tracks = playlist ? playlist.tracks : [res.tracks[0]];
+    if (!tracks.length) return null;
+
+    await queueTracks(player, tracks, { playNext, startPlaying });
+    return { tracks, playlist };
+}
+
+/**
+ * Confirmation message for tracks added with queueQuery or queueTracks
+ *
+ * @param {Object} client - Discord client instance
+ * @param {string} lang - Language code
+ * @param {Object} queued - { tracks, playlist } as returned by queueQuery
+ * @param {boolean} [playNext=false] - Whether it was queued to play next
+ * @returns {string}
+ */
+function formatQueuedMessage(client, lang, { tracks, playlist }, playNext = false) {
+    const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+
+    if (!playlist) {
+        const trackTitle = tracks[0].info?.title || t('UNKNOWN_TITLE');
+        return t(playNext ? 'SONG_ADDED_NEXT' : 'SONG_ADDED', trackTitle);
+    }
+
+    const lines = [t(playNext ? 'PLAYLIST_ADDED_NEXT' : 'PLAYLIST_ADDED', playlist.name, tracks.length)];
+    if (playlist.skipped) lines.push(t('PLAYLIST_IMPORT_LIMITED', PLAYLIST_TRACK_LIMIT, playlist.total - playlist.failed));
+    if (playlist.failed) lines.push(t('PLAYLIST_IMPORT_FAILED', playlist.failed));
+    return lines.join('\n');
+}
+
+/**
+ * Stops playback and clears the queue. The player is destroyed (leaving the
+ * voice channel) unless the guild has 24/7 mode on.
+ *
+ * @param {Object} client - Discord client instance
+ * @param {Object} player - Lavalink player instance
+ */
+async function stopPlayback(client, player) {
+    client.autoplayEnabled.delete(player.guildId);
+    client.sleepTimers.cancel(player.guildId);
+
+    if (client.alwaysOn.isEnabled(player.guildId)) {
+        // Nothing to stop on Lavalink if the track already ended
+        if (player.queue.current) {
+            await player.stopPlaying(true, false);
+        } else {
+            clearQueue(player);
+        }
+        return;
+    }
+    await player.destroy();
+}
+
 /**
  * Jumps to a specific track in the queue by index
  * Removes all tracks before the target track and starts playing it
@@ -79,6 +208,145 @@ async function jumpToTrack(player, trackIndex) {
     return targetTrack;
 }
 
+function isValidQueueIndex(player, index) {
+    return Number.isInteger(index) && index >= 0 && index < player.queue.tracks.length;
+}
+
+function getRequesterId(track) {
+    return track.requester?.id || track.userData?.requester?.id || null;
+}
+
+/**
+ * Removes tracks from the queue by index
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {number[]} indexes - Zero-based queue indexes
+ * @returns {Promise<Array|null>} Removed tracks (in queue order), or null if any index is invalid
+ */
+async function removeTracks(player, indexes) {
+    const unique = [...new Set(indexes)];
+    if (!unique.length || !unique.every(index => isValidQueueIndex(player, index))) {
+        return null;
+    }
+
+    const result = await player.queue.remove(unique);
+    return result?.removed || null;
+}
+
+/**
+ * Removes a range of tracks from the queue
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {number} from - Zero-based index of the first track to remove
+ * @param {number} [to=from] - Zero-based index of the last track to remove (inclusive)
+ * @returns {Promise<Array|null>} Removed tracks, or null if the range is invalid
+ */
+async function removeTrackRange(player, from, to = from) {
+    if (!isValidQueueIndex(player, from) || !isValidQueueIndex(player, to) || to < from) {
+        return null;
+    }
+
+    const removed = await player.queue.splice(from, to - from + 1);
+    return Array.isArray(removed) ? removed : [removed];
+}
+
+/**
+ * Moves a track to another position in the queue
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {number} from - Zero-based index of the track to move
+ * @param {number} to - Zero-based index it should end up at
+ * @returns {Promise<Object|null>} The moved track, or null if an index is invalid
+ */
+async function moveTrack(player, from, to) {
+    if (!isValidQueueIndex(player, from) || !isValidQueueIndex(player, to)) {
+        return null;
+    }
+
+    const track = player.queue.tracks[from];
+    if (from !== to) {
+        await player.queue.splice(from, 1);
+        await player.queue.splice(to, 0, track);
+    }
+    return track;
+}
+
+/**
+ * Swaps two tracks in the queue
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {number} first - Zero-based index of the first track
+ * @param {number} second - Zero-based index of the second track
+ * @returns {Promise<Array|null>} The two tracks ([first, second] before swapping), or null if invalid
+ */
+async function swapTracks(player, first, second) {
+    if (!isValidQueueIndex(player, first) || !isValidQueueIndex(player, second) || first === second) {
+        return null;
+    }
+
+    const tracks = [player.queue.tracks[first], player.queue.tracks[second]];
+    await player.queue.splice(first, 1, tracks[1]);
+    await player.queue.splice(second, 1, tracks[0]);
+    return tracks;
+}
+
+/**
+ * Removes every queued track requested by a user
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Array>} Removed tracks (empty if the user had none queued)
+ */
+async function removeUserTracks(player, userId) {
+    const indexes = player.queue.tracks
+        .map((track, index) => (getRequesterId(track) === userId ? index : -1))
+        .filter(index => index !== -1);
+
+    if (!indexes.length) return [];
+    return (await removeTracks(player, indexes)) || [];
+}
+
+/**
+ * Parses seek input into a position in milliseconds.
+ * Accepts timestamps ("1:23", "1:02:03"), seconds ("83") and offsets from
+ * the current position ("+30", "-10", "+1:00").
+ *
+ * @param {string} input - User input
+ * @param {number} currentPosition - Current playback position in milliseconds
+ * @returns {number|null} Target position in milliseconds, or null if the input is invalid
+ */
+function parseSeekPosition(input, currentPosition = 0) {
+    const match = String(input).trim().match(/^([+-])?\s*(\d+(?::\d{1,2}){0,2})$/);
+    if (!match) return null;
+
+    const [, sign, time] = match;
+    const parts = time.split(':').map(Number);
+    if (parts.slice(1).some(part => part >= 60)) return null;
+
+    const ms = parts.reduce((total, part) => total * 60 + part, 0) * 1000;
+
+    if (sign === '+') return currentPosition + ms;
+    if (sign === '-') return Math.max(0, currentPosition - ms);
+    return ms;
+}
+
+/**
+ * Seeks the current track, validating against its duration
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {number} position - Target position in milliseconds
+ * @returns {Promise<{position?: number, error?: string}>} New position, or a locale key describing why it failed
+ */
+async function seekTrack(player, position) {
+    const track = player.queue.current;
+    if (!track) return { error: 'NOTHING_PLAYING' };
+    if (!track.info?.isSeekable || track.info.isStream) return { error: 'SEEK_NOT_SEEKABLE' };
+    if (position >= track.info.duration) return { error: 'SEEK_OUT_OF_RANGE' };
+
+    await player.seek(position);
+    return { position };
+}
+
 function paginatedQueue(player, page = 1, itemsPerPage = 9) {
     const tracks = player.queue.tracks;
 
@@ -117,8 +385,7 @@ function paginatedQueue(player, page = 1, itemsPerPage = 9) {
     };
 }
 
-function createPaginatedQueueResponse(client, player, page = 1) {
-    const lang = client.defaultLanguage;
+function createPaginatedQueueResponse(client, player, page = 1, lang = client.getLanguage(player.guildId)) {
     const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
 
     const pageData = paginatedQueue(player, page, 9);
@@ -189,6 +456,17 @@ function createPaginatedQueueResponse(client, player, page = 1) {
 
     components.push(new ActionRowBuilder().addComponents(selectMenu));
 
+    const removeMenu = createTrackSelectMenu(pageData.tracks, {
+        customId: 'queue:remove',
+        placeholder: t('QUEUE_REMOVE_PLACEHOLDER'),
+        startIndex: pageData.startIndex,
+        valueFormatter: (globalIndex) => `${globalIndex}:${page}`,
+        emoji: '🗑️',
+        maxValues: pageData.tracks.length,
+    });
+
+    components.push(new ActionRowBuilder().addComponents(removeMenu));
+
     return {
         embeds: [embed],
         components,
@@ -200,7 +478,21 @@ module.exports = {
     playPrevious,
     shuffleQueue,
     clearQueue,
+    preparePlaylist,
+    queueTracks,
+    queueQuery,
+    formatQueuedMessage,
+    PLAYLIST_TRACK_LIMIT,
+    stopPlayback,
     jumpToTrack,
+    getRequesterId,
+    removeTracks,
+    removeTrackRange,
+    moveTrack,
+    swapTracks,
+    removeUserTracks,
+    parseSeekPosition,
+    seekTrack,
     paginatedQueue,
     createPaginatedQueueResponse,
 };
\ No newline at end of file
@@ -1,29 +1,52 @@
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
-const { formatDuration } = require('./embeds');
+const { formatDuration, createProgressBar } = require('./embeds');
+const { getRequesterId } = require('./PlayerActions');
 const logger = require('./logger');
 
+// Discord rate-limits message edits, so the progress bar is refreshed at most this often (0 = never)
+const PROGRESS_UPDATE_INTERVAL_MS = (() => {
+    const value = parseInt(process.env.PROGRESS_UPDATE_INTERVAL_MS || "15000", 10);
+    return isNaN(value) || value <= 0 ? 0 : Math.max(value, 5000);
+})();
+
+// Sticky mode reposts the controller once this many messages were sent below it...
+const STICKY_MESSAGE_THRESHOLD = 5;
+// ...and the channel has been quiet for a moment, or the repost has waited long enough
+const STICKY_DEBOUNCE_MS = 3000;
+const STICKY_MAX_WAIT_MS = 15000;
+
+// Placeholders Lavalink uses when a stream has no artist
+const UNKNOWN_AUTHORS = new Set(['unknown', 'unknown artist']);
+
 class PlayerController {
     constructor(client) {
         this.client = client;
         this.playerMessages = new Map(); // Guild ID -> Message ID
+        this.progressIntervals = new Map(); // Guild ID -> interval refreshing the progress bar
+        this.lastUpdates = new Map(); // Guild ID -> time of the last controller edit
+        this.stickyStates = new Map(); // Guild ID -> { count, pendingSince, timeout }
     }
 
-    createPlayerEmbed(player, track) {
-        const lang = this.client.defaultLanguage;
+    createPlayerEmbed(player, track, lang = this.client.getLanguage(player.guildId)) {
         const embed = new EmbedBuilder()
             .setColor(0x0099FF)
             .setTitle(this.client.languageManager.get(lang, 'PLAYER_TITLE'))
-            .setDescription(`**${this.client.languageManager.get(lang, 'PLAYER_NOW_PLAYING')}:**\n[${track.info?.title || 'Unknown'}](${track.info?.uri || '#'})`)
+            .setDescription(`**${this.client.languageManager.get(lang, 'PLAYER_NOW_PLAYING')}:**\n[${track.info?.title || 'Unknown'}](${track.info?.uri || '#'})${this.createStreamTitleLine(player, track, lang)}\n\n${this.createProgressLine(player, track, lang)}`)
             .setThumbnail(track.info?.artworkUrl || null)
             .addFields(
-                { name: this.client.languageManager.get(lang, 'PLAYER_ARTIST'), value: track.info?.author || 'Unknown', inline: true },
-                { name: this.client.languageManager.get(lang, 'PLAYER_DURATION'), value: formatDuration(track.info?.duration || 0), inline: true },
+                ...(track.info?.isStream
+                    ? this.createStreamFields(track, lang)
+                    : [
+                        { name: this.client.languageManager.get(lang, 'PLAYER_ARTIST'), value: track.info?.author || 'Unknown', inline: true },
+                        { name: this.client.languageManager.get(lang, 'PLAYER_DURATION'), value: formatDuration(track.info?.duration || 0), inline: true },
+                    ]),
                 { name: this.client.languageManager.get(lang, 'PLAYER_QUEUE_COUNT'), value: this.client.languageManager.get(lang, 'PLAYER_SONGS_COUNT', player.queue.tracks.length), inline: true },
                 ...(track.userData?.autoplay
                     ? [{ name: this.client.languageManager.get(lang, 'PLAYER_REQUESTED_BY'), value: this.client.languageManager.get(lang, 'AUTOPLAY_REQUESTER'), inline: true }]
-                    : track.userData?.requester
-                        ? [{ name: this.client.languageManager.get(lang, 'PLAYER_REQUESTED_BY'), value: `<@${track.userData.requester.id}>`, inline: true }]
-                        : [])
+                    : getRequesterId(track)
+                        ? [{ name: this.client.languageManager.get(lang, 'PLAYER_REQUESTED_BY'), value: `<@${getRequesterId(track)}>`, inline: true }]
+                        : []),
+                ...this.createVoteSkipField(player, lang)
             )
             .setFooter({ text: this.client.languageManager.get(lang, 'PLAYER_VOLUME', player.volume) })
             .setTimestamp();
@@ -46,32 +69,128 @@ class PlayerController {
             embed.setFooter({ text: `${currentFooter} | 📻 ${autoplayText}` });
         }
 
+        // Add sleep timer status to the embed
+        const sleepText = this.createSleepTimerText(player, lang);
+        if (sleepText) {
+            const currentFooter = embed.data.footer?.text || this.client.languageManager.get(lang, 'PLAYER_VOLUME', player.volume);
+            embed.setFooter({ text: `${currentFooter} | 💤 ${sleepText}` });
+        }
+
         return embed;
     }
 
+    /**
+     * Streams have no length, and sources often report no artist: show the
+     * station's genre or the artist only when there is one
+     */
+    createStreamFields(track, lang) {
+        const radio = track.userData?.radio;
+        const author = track.info?.author;
+        if (radio) {
+            return radio.genre
+                ? [{ name: this.client.languageManager.get(lang, 'PLAYER_GENRE'), value: radio.genre, inline: true }]
+                : [];
+        }
+        return author && !UNKNOWN_AUTHORS.has(author.toLowerCase())
+            ? [{ name: this.client.languageManager.get(lang, 'PLAYER_ARTIST'), value: author, inline: true }]
+            : [];
+    }
+
+    /**
+     * The song currently on air, for streams that report it
+     */
+    createStreamTitleLine(player, track, lang) {
+        if (!track.info?.isStream) return '';
+        const streamTitle = this.client.radio.getStreamTitle(player.guildId);
+        return streamTitle ? `\n🎶 ${this.client.languageManager.get(lang, 'PLAYER_ON_AIR', streamTitle)}` : '';
+    }
+
+    /**
+     * Embed shown in a request channel while nothing is playing
+     */
+    createIdleEmbed(guildId, lang = this.client.getLanguage(guildId)) {
+        return new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(this.client.languageManager.get(lang, 'PLAYER_TITLE'))
+            .setDescription(this.client.languageManager.get(lang, 'REQUEST_CHANNEL_IDLE'))
+            .setFooter({ text: this.client.languageManager.get(lang, 'REQUEST_CHANNEL_FOOTER') });
+    }
+
+    createProgressLine(player, track, lang) {
+        const pausedIcon = player.paused ? '⏸️ ' : '';
+
+        if (track.info?.isStream) {
+            return `${pausedIcon}🔴 ${this.client.languageManager.get(lang, 'PLAYER_LIVE')} \`${formatDuration(player.position || 0)}\``;
+        }
+        return `${pausedIcon}${createProgressBar(player.position || 0, track.info?.duration || 0)}`;
+    }
+
+    createSleepTimerText(player, lang) {
+        const timer = this.client.sleepTimers.get(player.guildId);
+        if (!timer) return null;
+
+        if (timer.mode === 'time') {
+            // Rounded up to whole minutes, as the footer is refreshed once a minute
+            const remaining = Math.ceil(Math.max(0, timer.endsAt - Date.now()) / 60000) * 60000;
+            return this.client.languageManager.get(lang, 'SLEEP_STATUS_TIME', formatDuration(remaining));
+        }
+        return this.client.languageManager.get(lang, timer.mode === 'track' ? 'SLEEP_STATUS_TRACK' : 'SLEEP_STATUS_QUEUE');
+    }
+
+    createVoteSkipField(player, lang) {
+        const status = this.client.voteSkipManager.getStatus(player);
+        if (!status) return [];
+
+        return [{
+            name: this.client.languageManager.get(lang, 'PLAYER_SKIP_VOTES'),
+            value: `${status.votes}/${status.required}`,
+            inline: true
+        }];
+    }
+
     createPlayerButtons(player) {
         const isPaused = player.paused;
         const loopIcon = player.repeatMode === 'track' ? '🔂' : player.repeatMode === 'queue' ? '🔁' : '➡️';
-        
+        const { seekButtons } = this.client.guildSettings.get(player.guildId);
+        const track = player.queue.current;
+        const canSeek = Boolean(track?.info?.isSeekable && !track.info.isStream);
+
+        const backButton = new ButtonBuilder()
+            .setCustomId('player:back')
+            .setEmoji('⏮️')
+            .setStyle(ButtonStyle.Secondary);
+        const playPauseButton = new ButtonBuilder()
+            .setCustomId('player:playpause')
+            .setEmoji(isPaused ? '▶️' : '⏸️')
+            .setStyle(ButtonStyle.Primary);
+        const skipButton = new ButtonBuilder()
+            .setCustomId('player:skip')
+            .setEmoji('⏭️')
+            .setStyle(ButtonStyle.Secondary);
+        const stopButton = new ButtonBuilder()
+            .setCustomId('player:stop')
+            .setEmoji('⏹️')
+            .setStyle(ButtonStyle.Danger);
+
+        // With seek buttons the first row is full, so stop moves to the end of the second row
         const row1 = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('player:back')
-                    .setEmoji('⏮️')
-                    .setStyle(ButtonStyle.Secondary),
-                new ButtonBuilder()
-                    .setCustomId('player:playpause')
-                    .setEmoji(isPaused ? '▶️' : '⏸️')
-                    .setStyle(ButtonStyle.Primary),
-                new ButtonBuilder()
-                    .setCustomId('player:skip')
-                    .setEmoji('⏭️')
-                    .setStyle(ButtonStyle.Secondary),
-                new ButtonBuilder()
-                    .setCustomId('player:stop')
-                    .setEmoji('⏹️')
-                    .setStyle(ButtonStyle.Danger)
-            );
+            .addComponents(seekButtons
+                ? [
+                    backButton,
+                    new ButtonBuilder()
+                        .setCustomId('player:rewind')
+                        .setEmoji('⏪')
+                        .setStyle(ButtonStyle.Secondary)
+                        .setDisabled(!canSeek),
+                    playPauseButton,
+                    new ButtonBuilder()
+                        .setCustomId('player:forward')
+                        .setEmoji('⏩')
+                        .setStyle(ButtonStyle.Secondary)
+                        .setDisabled(!canSeek),
+                    skipButton,
+                ]
+                : [backButton, playPauseButton, skipButton, stopButton]);
 
         const row2 = new ActionRowBuilder()
             .addComponents(
@@ -93,6 +212,10 @@ class PlayerController {
                     .setStyle(ButtonStyle.Secondary)
             );
 
+        if (seekButtons) {
+            row2.addComponents(stopButton);
+        }
+
         return [row1, row2];
     }
 
@@ -103,14 +226,112 @@ class PlayerController {
         const embed = this.createPlayerEmbed(player, track);
         const components = this.createPlayerButtons(player);
 
-        const message = await channel.send({ embeds: [embed], components });
+        // With a request channel the controller always lives in its persistent message
+        const message = await this.client.requestChannels.render(player.guildId, { embeds: [embed], components })
+            || await channel.send({ embeds: [embed], components });
         this.playerMessages.set(player.guildId, {
             messageId: message.id,
-            channelId: channel.id,
+            channelId: message.channelId,
         });
+        this.lastUpdates.set(player.guildId, Date.now());
+        this.startProgressUpdates(player.guildId);
         return message;
     }
 
+    /**
+     * Periodically re-renders the controller so its progress bar moves.
+     * Skipped while paused and shortly after any other edit.
+     */
+    startProgressUpdates(guildId) {
+        if (!PROGRESS_UPDATE_INTERVAL_MS || this.progressIntervals.has(guildId)) return;
+
+        const interval = setInterval(() => {
+            const player = this.client.lavalink.getPlayer(guildId);
+            if (!player || !this.playerMessages.has(guildId)) {
+                this.stopProgressUpdates(guildId);
+                return;
+            }
+
+            if (player.paused || !player.queue.current) return;
+            if (Date.now() - (this.lastUpdates.get(guildId) || 0) < PROGRESS_UPDATE_INTERVAL_MS / 2) return;
+
+            this.updatePlayer(guildId).catch(() => {});
+        }, PROGRESS_UPDATE_INTERVAL_MS);
+        this.progressIntervals.set(guildId, interval);
+    }
+
+    /**
+     * Counts messages posted below the controller and, in sticky mode,
+     * reposts it at the bottom of the channel once enough have piled up
+     *
+     * @param {import('discord.js').Message} message - Message created in any guild channel
+     */
+    handleChannelMessage(message) {
+        const guildId = message.guildId;
+        const playerMessage = this.playerMessages.get(guildId);
+        if (!playerMessage || message.channelId !== playerMessage.channelId || message.id === playerMessage.messageId) return;
+        if (!this.client.guildSettings.get(guildId).stickyPlayer) return;
+
+        const state = this.stickyStates.get(guildId) || { count: 0, pendingSince: null, timeout: null };
+        state.count++;
+        this.stickyStates.set(guildId, state);
+
+        if (state.count < STICKY_MESSAGE_THRESHOLD) return;
+
+        // Debounced, but never pushed back past STICKY_MAX_WAIT_MS in a busy channel
+        state.pendingSince = state.pendingSince || Date.now();
+        const delay = Math.min(STICKY_DEBOUNCE_MS, Math.max(0, state.pendingSince + STICKY_MAX_WAIT_MS - Date.now()));
+        clearTimeout(state.timeout);
+        state.timeout = setTimeout(() => {
+            this.stickyStates.delete(guildId);
+            this.repostPlayer(guildId).catch(error => {
+                logger.warn(`Failed to repost sticky controller for guild ${guildId}:`, error.message);
+            });
+        }, delay);
+    }
+
+    /**
+     * Sends a fresh controller at the bottom of its channel and deletes the old one
+     */
+    async repostPlayer(guildId) {
+        const player = this.client.lavalink.getPlayer(guildId);
+        const playerMessage = this.playerMessages.get(guildId);
+        if (!player?.queue.current || !playerMessage) return;
+
+        const channel = this.client.channels.cache.get(playerMessage.channelId);
+        if (!channel) return;
+
+        await this.sendPlayer(channel, player);
+        await channel.messages.delete(playerMessage.messageId).catch(() => {});
+    }
+
+    clearSticky(guildId) {
+        const state = this.stickyStates.get(guildId);
+        if (state) {
+            clearTimeout(state.timeout);
+            this.stickyStates.delete(guildId);
+        }
+    }
+
+    stopProgressUpdates(guildId) {
+        if (this.progressIntervals.has(guildId)) {
+            clearInterval(this.progressIntervals.get(guildId));
+            this.progressIntervals.delete(guildId);
+        }
+        this.lastUpdates.delete(guildId);
+    }
+
+    /**
+     * Updates the existing controller, or sends a new one if the guild has none
+     */
+    async showPlayer(channel, player) {
+        if (this.playerMessages.has(player.guildId)) {
+            await this.updatePlayer(player.guildId);
+        } else {
+            await this.sendPlayer(channel, player);
+        }
+    }
+
     async updatePlayer(guildId) {
         const player = this.client.lavalink.getPlayer(guildId);
         if (!player || !player.queue.current) return;
@@ -121,6 +342,7 @@ class PlayerController {
         const channel = this.client.channels.cache.get(playerMessage.channelId);
         if (!channel) return;
 
+        this.lastUpdates.set(guildId, Date.now());
         try {
             const message = channel.messages.cache.get(playerMessage.messageId)
                 || await channel.messages.fetch(playerMessage.messageId);
@@ -135,9 +357,20 @@ class PlayerController {
     }
 
     async deletePlayer(guildId) {
+        this.stopProgressUpdates(guildId);
+        this.clearSticky(guildId);
         const playerMessage = this.playerMessages.get(guildId);
         if (!playerMessage) return;
 
+        // The request channel keeps its message and goes back to the idle embed
+        if (playerMessage.messageId === this.client.requestChannels.get(guildId)?.messageId) {
+            this.playerMessages.delete(guildId);
+            await this.client.requestChannels.showIdle(guildId).catch(error => {
+                logger.warn(`Failed to reset request channel for guild ${guildId}:`, error.message);
+            });
+            return;
+        }
+
         const channel = this.client.channels.cache.get(playerMessage.channelId);
         if (channel) {
             try {
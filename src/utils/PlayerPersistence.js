@@ -0,0 +1,379 @@
+const { DestroyReasons } = require('lavalink-client');
+const JsonStore = require('./JsonStore');
+const { serializeTrack, buildTrack } = require('./trackSerializer');
+const { isExpiredAttachment } = require('./audioAttachments');
+const logger = require('./logger');
+
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.PLAYER_SNAPSHOT_INTERVAL_MS || "30000", 10);
+const SNAPSHOT_MAX_AGE_MS = 6 * 60 * 60 * 1000; // Don't resume sessions older than 6 hours
+const NODE_WAIT_TIMEOUT_MS = 60000;
+
+// Players destroyed for these reasons were lost to a Lavalink outage, not stopped by anyone
+const NODE_FAILURE_REASONS = new Set([
+    DestroyReasons.NodeDestroy,
+    DestroyReasons.NodeDeleted,
+    DestroyReasons.NodeReconnectFail,
+    DestroyReasons.PlayerChangeNodeFail,
+    DestroyReasons.PlayerChangeNodeFailNoEligibleNode,
+]);
+
+/**
+ * Player Persistence
+ * Snapshots every player's queue, position and settings to disk so playback
+ * can be resumed after the bot restarts.
+ *
+ * @class PlayerPersistence
+ */
+class PlayerPersistence {
+    constructor(client) {
+        this.client = client;
+        this.store = new JsonStore('player-state.json');
+        this.snapshotInterval = null;
+        this.isShuttingDown = false;
+        this.pendingRecovery = new Set(); // Guild IDs whose player died with its node
+    }
+
+    /**
+     * Builds a JSON-safe snapshot of a player
+     *
+     * @param {Object} player - Lavalink player instance
+     * @returns {Object|null} Snapshot, or null if there is nothing worth resuming
+     */
+    serializePlayer(player) {
+        const current = serializeTrack(player.queue.current);
+        if (!current || !player.voiceChannelId) return null;
+
+        const fm = player.filterManager;
+        const playerMessage = this.client.playerController.playerMessages.get(player.guildId);
+
+        return {
+            guildId: player.guildId,
+            voiceChannelId: player.voiceChannelId,
+            textChannelId: playerMessage?.channelId || player.textChannelId,
+            playerMessage: playerMessage || null,
+            volume: player.volume,
+            repeatMode: player.repeatMode,
+            paused: player.paused,
+            position: player.position,
+            autoplay: this.client.autoplayEnabled.get(player.guildId) || false,
+            current,
+            tracks: player.queue.tracks.map(serializeTrack).filter(Boolean),
+            filters: {
+                data: fm.data,
+                flags: fm.filters,
+                equalizerBands: fm.equalizerBands,
+                activeEqPreset: player._activeEqPreset || null,
+            },
+            savedAt: Date.now(),
+        };
+    }
+
+    save(player) {
+        const snapshot = this.serializePlayer(player);
+        if (snapshot) {
+            this.store.set(player.guildId, snapshot);
+        } else {
+            this.store.delete(player.guildId);
+        }
+    }
+
+    saveAll() {
+        for (const player of this.client.lavalink.players.values()) {
+            try {
+                this.save(player);
+            } catch (error) {
+                logger.error(`Failed to snapshot player for guild ${player.guildId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Drops the snapshot of a destroyed player, unless it was lost to a node
+     * failure, in which case it is kept so the player can be recreated
+     *
+     * @param {Object} player - Destroyed Lavalink player
+     * @param {string} reason - Destroy reason
+     */
+    handlePlayerDestroy(player, reason) {
+        if (this.isShuttingDown) return;
+
+        if (NODE_FAILURE_REASONS.has(reason) && this.store.has(player.guildId)) {
+            this.pendingRecovery.add(player.guildId);
+            return;
+        }
+
+        this.pendingRecovery.delete(player.guildId);
+        this.store.delete(player.guildId);
+    }
+
+    startAutoSave() {
+        if (this.snapshotInterval || SNAPSHOT_INTERVAL_MS <= 0) return;
+
+        this.snapshotInterval = setInterval(() => {
+            this.saveAll();
+        }, SNAPSHOT_INTERVAL_MS);
+    }
+
+    // Waits until at least one Lavalink node is usable
+    async waitForNode() {
+        if (this.client.lavalinkConnectionManager.isAvailable()) return true;
+
+        const nodeManager = this.client.lavalink.nodeManager;
+        return new Promise(resolve => {
+            const onConnect = () => {
+                clearTimeout(timeout);
+                resolve(true);
+            };
+            const timeout = setTimeout(() => {
+                nodeManager.off('connect', onConnect);
+                resolve(false);
+            }, NODE_WAIT_TIMEOUT_MS);
+            nodeManager.once('connect', onConnect);
+        });
+    }
+
+    /**
+     * Pushes a player's current track, position and voice state to a node
+     * session that doesn't know about it (e.g. after a failed resume)
+     *
+     * @param {Object} player - Lavalink player instance
+     */
+    async reattach(player) {
+        const { voice, queue } = player;
+        if (!voice?.endpoint || !voice.sessionId || !voice.token) {
+            throw new Error('Voice data is missing');
+        }
+
+        await player.node.updatePlayer({
+            guildId: player.guildId,
+            noReplace: false,
+            playerOptions: {
+                track: queue.current,
+                position: player.lastPosition || 0,
+                volume: player.lavalinkVolume,
+                paused: player.paused,
+                voice: {
+                    token: voice.token,
+                    endpoint: voice.endpoint,
+                    sessionId: voice.sessionId,
+                    channelId: voice.channelId,
+                },
+            },
+        });
+        player.playing = !player.paused;
+        await player.filterManager.applyPlayerFilters();
+    }
+
+    /**
+     * Tears a player down and queues it to be rebuilt from its snapshot
+     * (the next restorePending call recreates it)
+     *
+     * @param {Object} player - Lavalink player instance
+     */
+    async recreate(player) {
+        this.save(player);
+        this.pendingRecovery.add(player.guildId);
+        await player.destroy(DestroyReasons.NodeDestroy).catch(() => {});
+    }
+
+    /**
+     * Called whenever a node (re)connects. Players whose session was resumed
+     * are synced with Lavalink's state; players the node no longer knows about
+     * are reattached, and players that were destroyed with a previous node are
+     * recreated from their last snapshot.
+     *
+     * @param {Object} node - Lavalink node that just became ready
+     * @param {boolean} resumed - Whether Lavalink resumed the previous session
+     */
+    async recoverNode(node, resumed) {
+        const { client } = this;
+        const remotePlayers = new Map();
+
+        if (resumed) {
+            const players = await node.fetchAllPlayers().catch(() => []);
+            if (Array.isArray(players)) {
+                for (const data of players) remotePlayers.set(data.guildId, data);
+            }
+        }
+
+        const localPlayers = [...client.lavalink.players.values()].filter(player => player.node?.id === node.id);
+
+        // Players that were moved to another node while this one was down
+        for (const guildId of remotePlayers.keys()) {
+            if (!localPlayers.some(player => player.guildId === guildId)) {
+                await node.destroyPlayer(guildId).catch(() => {});
+            }
+        }
+
+        for (const player of localPlayers) {
+            if (!player.queue.current) continue;
+
+            const remote = remotePlayers.get(player.guildId);
+            if (remote?.track) {
+                player.paused = remote.paused;
+                player.playing = !remote.paused;
+                player.lastPosition = remote.state?.position || 0;
+                player.lastPositionChange = Date.now();
+                continue;
+            }
+
+            try {
+                await this.reattach(player);
+                logger.debug(`Reattached player for guild ${player.guildId} to the new Lavalink session`);
+            } catch (error) {
+                logger.warn(`Failed to reattach player for guild ${player.guildId}, recreating it:`, error.message);
+                await this.recreate(player);
+            }
+        }
+
+        if (resumed && localPlayers.length > 0) {
+            logger.info(`Lavalink session resumed with ${localPlayers.length} player(s)`);
+        }
+
+        await this.restorePending();
+    }
+
+    /**
+     * Recreates players that were destroyed because their node went away
+     */
+    async restorePending() {
+        for (const guildId of [...this.pendingRecovery]) {
+            this.pendingRecovery.delete(guildId);
+            const snapshot = this.store.get(guildId);
+            if (!snapshot) continue;
+
+            try {
+                if (await this.restore(snapshot)) {
+                    logger.info(`Recreated player for guild ${guildId} after Lavalink reconnect`);
+                } else {
+                    this.store.delete(guildId);
+                }
+            } catch (error) {
+                logger.error(`Failed to recreate player for guild ${guildId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Recreates a player from a snapshot: rejoins voice, rebuilds the queue,
+     * seeks to the saved position and reposts the controller
+     *
+     * @param {Object} snapshot - Snapshot produced by serializePlayer
+     * @returns {Promise<boolean>} True if playback was resumed
+     */
+    async restore(snapshot) {
+        const { client } = this;
+        const guild = client.guilds.cache.get(snapshot.guildId);
+        const voiceChannel = guild?.channels.cache.get(snapshot.voiceChannelId);
+
+        // 24/7 mode keeps playing to an empty channel
+        const listening = voiceChannel?.members.some(m => !m.user.bot) || client.alwaysOn.isEnabled(snapshot.guildId);
+        if (!voiceChannel || !listening) {
+            logger.debug(`Not resuming guild ${snapshot.guildId}: voice channel missing or empty`);
+            return false;
+        }
+
+        if (client.lavalink.getPlayer(guild.id)) return false;
+
+        // Uploaded files whose links expired meanwhile can't be played again
+        const [current, ...tracks] = [snapshot.current, ...snapshot.tracks]
+            .map(data => buildTrack(client, data))
+            .filter(track => track && !isExpiredAttachment(track));
+        if (!current) return false;
+        const resumingCurrent = current.encoded === snapshot.current.encoded;
+
+        const player = client.lavalink.createPlayer({
+            guildId: guild.id,
+            node: client.lavalinkConnectionManager.getBestNode()?.id,
+            voiceChannelId: voiceChannel.id,
+            textChannelId: snapshot.textChannelId,
+            selfDeaf: true,
+            selfMute: false,
+            volume: snapshot.volume,
+        });
+
+        // Remove the controller left behind by the previous process
+        if (snapshot.playerMessage) {
+            client.playerController.playerMessages.set(guild.id, snapshot.playerMessage);
+            await client.playerController.deletePlayer(guild.id);
+        }
+
+        await player.connect();
+
+        client.autoplayEnabled.set(guild.id, snapshot.autoplay);
+        player.setRepeatMode(snapshot.repeatMode || 'off');
+
+        await player.queue.add([current, ...tracks]);
+
+        const position = resumingCurrent && current.info.isSeekable && !current.info.isStream
+            ? Math.min(snapshot.position || 0, Math.max(0, (current.info.duration || 0) - 1000))
+            : 0;
+        await player.play({ position, paused: snapshot.paused });
+
+        if (snapshot.filters) {
+            const fm = player.filterManager;
+            fm.data = { ...fm.data, ...snapshot.filters.data };
+            fm.filters = { ...fm.filters, ...snapshot.filters.flags };
+            fm.equalizerBands = snapshot.filters.equalizerBands || [];
+            player._activeEqPreset = snapshot.filters.activeEqPreset;
+            await fm.applyPlayerFilters().catch(error => {
+                logger.warn(`Failed to restore filters for guild ${guild.id}:`, error.message);
+            });
+        }
+
+        const textChannel = await client.channels.fetch(snapshot.textChannelId).catch(() => null);
+        if (textChannel) {
+            await client.playerController.sendPlayer(textChannel, player).catch(error => {
+                logger.warn(`Failed to repost controller for guild ${guild.id}:`, error.message);
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Resumes every saved player once Lavalink is connected
+     */
+    async restoreAll() {
+        const guildIds = this.store.keys();
+        if (!guildIds.length) return;
+
+        if (!(await this.waitForNode())) {
+            logger.warn('Lavalink not available, skipping playback resume');
+            return;
+        }
+
+        let resumed = 0;
+        for (const guildId of guildIds) {
+            const snapshot = this.store.get(guildId);
+            this.store.delete(guildId);
+
+            if (!snapshot || Date.now() - snapshot.savedAt > SNAPSHOT_MAX_AGE_MS) continue;
+
+            try {
+                if (await this.restore(snapshot)) resumed++;
+            } catch (error) {
+                logger.error(`Failed to resume playback in guild ${guildId}:`, error);
+                const player = this.client.lavalink.getPlayer(guildId);
+                if (player) player.destroy();
+            }
+        }
+
+        if (resumed > 0) {
+            logger.info(`Resumed playback in ${resumed} guild(s)`);
+        }
+    }
+
+    /**
+     * Stops auto-saving; snapshots are kept from here on so they survive shutdown
+     */
+    destroy() {
+        this.isShuttingDown = true;
+        if (this.snapshotInterval) {
+            clearInterval(this.snapshotInterval);
+            this.snapshotInterval = null;
+        }
+    }
+}
+
+module.exports = PlayerPersistence;
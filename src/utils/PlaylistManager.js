@@ -0,0 +1,140 @@
+const JsonStore = require('./JsonStore');
+const { serializeTrack } = require('./trackSerializer');
+const { isAttachmentTrack } = require('./audioAttachments');
+
+const MAX_PLAYLISTS_PER_OWNER = 25;
+const MAX_PLAYLIST_TRACKS = 500;
+
+/**
+ * Playlist Manager
+ * Stores named playlists of encoded Lavalink tracks, either personal (per
+ * user) or shared with a whole server (per guild).
+ *
+ * @class PlaylistManager
+ */
+class PlaylistManager {
+    static MAX_PLAYLISTS_PER_OWNER = MAX_PLAYLISTS_PER_OWNER;
+    static MAX_PLAYLIST_TRACKS = MAX_PLAYLIST_TRACKS;
+
+    constructor() {
+        this.store = new JsonStore('playlists.json');
+    }
+
+    /**
+     * Builds the store key for a playlist owner
+     *
+     * @param {'user'|'guild'} scope - Whether the playlists belong to a user or a server
+     * @param {string} id - Discord user or guild ID
+     * @returns {string} Owner key
+     */
+    static getOwnerKey(scope, id) {
+        return `${scope}:${id}`;
+    }
+
+    /**
+     * Lists an owner's playlists sorted by name
+     *
+     * @param {string} ownerKey - Key from getOwnerKey
+     * @returns {Object[]} Playlists
+     */
+    list(ownerKey) {
+        return Object.values(this.store.get(ownerKey) || {})
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Gets a playlist by name (case-insensitive)
+     *
+     * @param {string} ownerKey - Key from getOwnerKey
+     * @param {string} name - Playlist name
+     * @returns {Object|null} Playlist, or null if it doesn't exist
+     */
+    get(ownerKey, name) {
+        return this.store.get(ownerKey)?.[name.toLowerCase()] || null;
+    }
+
+    /**
+     * Saves tracks under a name, replacing any playlist with the same name
+     *
+     * @param {string} ownerKey - Key from getOwnerKey
+     * @param {string} name - Playlist name
+     * @param {Object[]} tracks - Lavalink tracks
+     * @param {string} createdBy - ID of the user saving the playlist
+     * @returns {{playlist?: Object, error?: string}} Saved playlist, or a locale key describing the error
+     */
+    save(ownerKey, name, tracks, createdBy) {
+        // Uploaded files are left out: their links expire. Loaded tracks are
+        // requested by whoever loads them, not picked by autoplay
+        const saved = tracks
+            .filter(track => !isAttachmentTrack(track))
+            .map(track => serializeTrack(track, { keepSessionData: false }))
+            .filter(Boolean);
+        return this.write(ownerKey, name, saved, createdBy);
+    }
+
+    /**
+     * Copies a playlist to another owner, e.g. to share a personal playlist with a server
+     *
+     * @param {string} fromKey - Current owner key
+     * @param {string} name - Playlist name
+     * @param {string} toKey - New owner key
+     * @param {string} createdBy - ID of the user sharing the playlist
+     * @returns {{playlist?: Object, error?: string}} Copied playlist, or a locale key describing the error
+     */
+    copy(fromKey, name, toKey, createdBy) {
+        const playlist = this.get(fromKey, name);
+        if (!playlist) return { error: 'PLAYLIST_NOT_FOUND' };
+
+        return this.write(toKey, playlist.name, playlist.tracks, createdBy);
+    }
+
+    write(ownerKey, name, serialized, createdBy) {
+        const playlists = { ...(this.store.get(ownerKey) || {}) };
+        const key = name.toLowerCase();
+
+        if (!playlists[key] && Object.keys(playlists).length >= MAX_PLAYLISTS_PER_OWNER) {
+            return { error: 'PLAYLIST_LIMIT_REACHED' };
+        }
+
+        serialized = serialized.slice(0, MAX_PLAYLIST_TRACKS);
+        if (!serialized.length) {
+            return { error: 'PLAYLIST_NOTHING_TO_SAVE' };
+        }
+
+        const now = Date.now();
+        const playlist = {
+            name,
+            createdBy,
+            createdAt: playlists[key]?.createdAt || now,
+            updatedAt: now,
+            tracks: serialized,
+        };
+
+        playlists[key] = playlist;
+        this.store.set(ownerKey, playlists);
+        return { playlist };
+    }
+
+    /**
+     * Deletes a playlist
+     *
+     * @param {string} ownerKey - Key from getOwnerKey
+     * @param {string} name - Playlist name
+     * @returns {boolean} Whether a playlist was deleted
+     */
+    delete(ownerKey, name) {
+        const playlists = { ...(this.store.get(ownerKey) || {}) };
+        const key = name.toLowerCase();
+        if (!playlists[key]) return false;
+
+        delete playlists[key];
+        if (Object.keys(playlists).length) {
+            this.store.set(ownerKey, playlists);
+        } else {
+            this.store.delete(ownerKey);
+        }
+        return true;
+    }
+}
+
+module.exports = PlaylistManager;
@@ -1,22 +1,110 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const logger = require('./logger');
 
 const API_URL = 'https://lavalink-list.ajieblogs.eu.org/All';
 const REFRESH_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes (matches API refresh)
 const FETCH_TIMEOUT_MS = 10000;
 
+const PROBE_TIMEOUT_MS = 5000;
+// High enough that a few dozen dead nodes don't hold back the first healthy one
+const PROBE_CONCURRENCY = 32;
+const PROBE_QUERY = 'never gonna give you up';
+// Search prefix to test with, by Lavalink source manager (first one the node has wins)
+const PROBE_SEARCH_PREFIXES = {
+    youtube: 'ytsearch',
+    soundcloud: 'scsearch',
+    deezer: 'dzsearch',
+    spotify: 'spsearch',
+};
+const PROBE_USER_ID = '0'; // Placeholder, the probe session is closed right after the handshake
+const LATENCY_HISTORY_SIZE = 10;
+const UNPROBED_LATENCY_MS = PROBE_TIMEOUT_MS * 3;
+const FAILURE_COOLDOWN_MS = 5 * 60 * 1000;
+const MAX_FAILURE_COOLDOWN_MS = 60 * 60 * 1000;
+
+function getNodeKey(node) {
+    return `${node.host}:${node.port}`;
+}
+
+/**
+ * Opens the Lavalink websocket handshake and closes it as soon as the server
+ * accepts it, which checks reachability and the password in one round trip
+ */
+function probeWebSocket(node) {
+    return new Promise((resolve, reject) => {
+        const request = (node.secure ? https : http).request({
+            host: node.host,
+            port: node.port,
+            path: '/v4/websocket',
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                Authorization: node.password,
+                'User-Id': PROBE_USER_ID,
+                'Client-Name': 'BeatDock-Probe',
+            },
+            timeout: PROBE_TIMEOUT_MS,
+        });
+
+        request.on('upgrade', (response, socket) => {
+            socket.destroy();
+            resolve();
+        });
+        request.on('response', (response) => {
+            response.resume();
+            reject(new Error(`Websocket handshake rejected (${response.statusCode})`));
+        });
+        request.on('timeout', () => request.destroy(new Error('Websocket handshake timed out')));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+async function fetchNodeJson(fetchFn, node, path) {
+    const response = await fetchFn(`${node.secure ? 'https' : 'http'}://${node.host}:${node.port}${path}`, {
+        headers: { Authorization: node.password },
+        signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`${path.split('?')[0]} returned ${response.status}`);
+    return response.json();
+}
+
 class PublicNodeProvider {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiUrl] - Node list URL (defaults to PUBLIC_LAVALINK_LIST_URL or the public API)
+     * @param {Function} [options.fetch] - fetch implementation for the list and the node's REST API
+     * @param {Function} [options.probeWebSocket] - Websocket handshake check, (node) => Promise
+     */
+    constructor(options = {}) {
+        this.apiUrl = options.apiUrl || process.env.PUBLIC_LAVALINK_LIST_URL || API_URL;
+        this.fetch = options.fetch || fetch;
+        this.probeWebSocket = options.probeWebSocket || probeWebSocket;
         this.nodes = [];
-        this.currentIndex = 0;
+        this.health = new Map(); // "host:port" -> probe history
+        this.currentKey = null;
         this.refreshInterval = null;
+        this.probeRun = null; // { firstHealthy, done } promises of the probe run in progress
     }
 
-    async fetchNodes() {
+    /**
+     * Fetches the node list and probes it
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.waitForHealthy=true] - Wait until one node passes its probe
+     *     (or all failed); the remaining nodes are probed in the background either way
+     * @returns {Promise<boolean>} Whether there are nodes to use
+     */
+    async fetchNodes({ waitForHealthy = true } = {}) {
         try {
             const controller = new AbortController();
             const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 
-            const response = await fetch(API_URL, { signal: controller.signal });
+            const response = await this.fetch(this.apiUrl, { signal: controller.signal });
             clearTimeout(timeout);
 
             if (!response.ok) {
@@ -40,8 +128,10 @@ class PublicNodeProvider {
             }
 
             this.nodes = v4Nodes;
-            this.currentIndex = 0;
             logger.info(`Fetched ${v4Nodes.length} public Lavalink v4 nodes`);
+
+            const probed = this.probeNodes();
+            if (waitForHealthy) await probed;
             return true;
         } catch (error) {
             if (this.nodes.length > 0) {
@@ -53,11 +143,175 @@ class PublicNodeProvider {
         }
     }
 
+    /**
+     * Checks that a node accepts connections, answers /v4/info and can
+     * actually resolve a search
+     *
+     * @param {Object} node - Node from the public list
+     * @returns {Promise<{ok: boolean, latency: number, error?: string}>} Probe result
+     */
+    async probeNode(node) {
+        const startedAt = Date.now();
+
+        try {
+            await this.probeWebSocket(node);
+
+            const info = await fetchNodeJson(this.fetch, node, '/v4/info');
+            const source = Object.keys(PROBE_SEARCH_PREFIXES).find(name => info?.sourceManagers?.includes(name));
+            if (!source) {
+                throw new Error('/v4/info reported no searchable sources');
+            }
+
+            const identifier = `${PROBE_SEARCH_PREFIXES[source]}:${PROBE_QUERY}`;
+            const result = await fetchNodeJson(this.fetch, node, `/v4/loadtracks?identifier=${encodeURIComponent(identifier)}`);
+            if (result?.loadType !== 'search' || !result.data?.length) {
+                throw new Error(`Test search failed (${result?.loadType || 'no response'})`);
+            }
+
+            return { ok: true, latency: Date.now() - startedAt };
+        } catch (error) {
+            return { ok: false, latency: Date.now() - startedAt, error: error.message };
+        }
+    }
+
+    /**
+     * Probes every listed node that isn't cooling down after a failure, a
+     * few at a time. Resolves as soon as one node passes so startup and
+     * rotation don't wait on dead nodes; the rest are probed in the
+     * background (this.probeRun.done). A run already in progress is reused.
+     *
+     * @returns {Promise<boolean>} Whether a node passed
+     */
+    probeNodes() {
+        if (this.probeRun) return this.probeRun.firstHealthy;
+
+        let resolveFirstHealthy;
+        const firstHealthy = new Promise(resolve => { resolveFirstHealthy = resolve; });
+        const done = this.runProbes(() => resolveFirstHealthy(true))
+            .then(healthy => resolveFirstHealthy(healthy > 0))
+            .catch(error => {
+                logger.error('Failed to probe public Lavalink nodes:', error.message);
+                resolveFirstHealthy(false);
+            })
+            .finally(() => {
+                this.probeRun = null;
+            });
+
+        this.probeRun = { firstHealthy, done };
+        return firstHealthy;
+    }
+
+    async runProbes(onHealthy) {
+        const now = Date.now();
+        // Nodes that did well last time go first
+        const pending = this.nodes
+            .filter(node => !this.isCoolingDown(node, now))
+            .sort((a, b) => this.getScore(a) - this.getScore(b));
+        const total = pending.length;
+        let healthy = 0;
+
+        // PROBE_CONCURRENCY probes at a time, the next one starting as soon as one ends
+        const worker = async () => {
+            while (pending.length) {
+                const node = pending.shift();
+                const result = await this.probeNode(node);
+                if (result.ok) {
+                    healthy++;
+                    this.recordSuccess(node, result.latency);
+                    onHealthy();
+                } else {
+                    logger.debug(`Public node ${getNodeKey(node)} failed probe: ${result.error}`);
+                    this.recordFailure(node);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(PROBE_CONCURRENCY, total) }, worker));
+
+        logger.info(`Probed ${total} public Lavalink nodes, ${healthy} healthy`);
+        return healthy;
+    }
+
+    getHealth(node) {
+        const key = getNodeKey(node);
+        if (!this.health.has(key)) {
+            this.health.set(key, {
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                latencies: [],
+                cooldownUntil: 0,
+            });
+        }
+        return this.health.get(key);
+    }
+
+    recordSuccess(node, latency) {
+        const health = this.getHealth(node);
+        health.successes++;
+        health.consecutiveFailures = 0;
+        health.cooldownUntil = 0;
+        health.latencies.push(latency);
+        if (health.latencies.length > LATENCY_HISTORY_SIZE) health.latencies.shift();
+    }
+
+    /**
+     * Records a failed probe or connection; each consecutive failure doubles
+     * how long the node is skipped
+     *
+     * @param {Object} node - Node from the public list (or a node config with host/port)
+     */
+    recordFailure(node) {
+        const health = this.getHealth(node);
+        health.failures++;
+        health.consecutiveFailures++;
+        health.cooldownUntil = Date.now() + Math.min(
+            FAILURE_COOLDOWN_MS * Math.pow(2, health.consecutiveFailures - 1),
+            MAX_FAILURE_COOLDOWN_MS
+        );
+    }
+
+    isCoolingDown(node, now = Date.now()) {
+        const health = this.health.get(getNodeKey(node));
+        return Boolean(health && health.cooldownUntil > now);
+    }
+
+    /**
+     * Scores a node from its probe history (lower is better): average latency,
+     * inflated by the share of failed probes
+     *
+     * @param {Object} node - Node from the public list
+     * @returns {number} Score
+     */
+    getScore(node) {
+        const health = this.health.get(getNodeKey(node));
+        if (!health || health.latencies.length === 0) return UNPROBED_LATENCY_MS;
+
+        const averageLatency = health.latencies.reduce((sum, latency) => sum + latency, 0) / health.latencies.length;
+        const failureRate = health.failures / (health.successes + health.failures);
+        return averageLatency * (1 + failureRate * 4);
+    }
+
+    /**
+     * Picks the best-scoring node that isn't cooling down, skipping the node
+     * handed out last time (rotation means that one is being replaced)
+     */
     getNextNode() {
         if (this.nodes.length === 0) return null;
 
-        const node = this.nodes[this.currentIndex];
-        this.currentIndex = (this.currentIndex + 1) % this.nodes.length;
+        const now = Date.now();
+        let candidates = this.nodes.filter(node => !this.isCoolingDown(node, now));
+        if (candidates.length > 1) {
+            candidates = candidates.filter(node => getNodeKey(node) !== this.currentKey);
+        }
+        if (candidates.length === 0) {
+            // Everything failed recently; fall back to the node that recovers soonest
+            candidates = [...this.nodes].sort((a, b) => this.getHealth(a).cooldownUntil - this.getHealth(b).cooldownUntil).slice(0, 1);
+        }
+
+        const node = candidates.reduce((best, candidate) =>
+            this.getScore(candidate) < this.getScore(best) ? candidate : best
+        );
+        this.currentKey = getNodeKey(node);
 
         return {
             host: node.host,
@@ -77,8 +331,9 @@ class PublicNodeProvider {
     startAutoRefresh() {
         if (this.refreshInterval) return;
 
+        // Nothing waits on a refresh, so its probes run entirely in the background
         this.refreshInterval = setInterval(() => {
-            this.fetchNodes();
+            this.fetchNodes({ waitForHealthy: false });
         }, REFRESH_INTERVAL_MS);
     }
 
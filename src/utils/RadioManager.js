@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { truncateText } = require('./trackSelectMenu');
+const logger = require('./logger');
+
+const STATIONS_FILE = process.env.RADIO_STATIONS_FILE || path.join(__dirname, '..', '..', 'radio-stations.json');
+// How often the song title of a playing stream is read again
+const METADATA_POLL_MS = 30000;
+const METADATA_TIMEOUT_MS = 10000;
+// Streams announcing a bigger gap between metadata blocks aren't read
+const MAX_METADATA_INTERVAL = 256 * 1024;
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+/**
+ * Reads the first ICY metadata block of an HTTP stream
+ *
+ * @param {string} url - Stream URL
+ * @returns {Promise<string|null|undefined>} The StreamTitle (null if empty),
+ *     or undefined if the stream doesn't send ICY metadata
+ */
+async function fetchStreamTitle(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), METADATA_TIMEOUT_MS);
+
+    try {
+        const res = await fetch(url, { headers: { 'Icy-MetaData': '1' }, signal: controller.signal });
+        const metaInt = parseInt(res.headers.get('icy-metaint'), 10);
+        if (!res.ok || !res.body || !(metaInt > 0) || metaInt > MAX_METADATA_INTERVAL) return undefined;
+
+        // Audio bytes up to metaInt, one length byte (x16), then the metadata itself
+        const reader = res.body.getReader();
+        let buffer = Buffer.alloc(0);
+        let metaLength = null;
+        while (metaLength === null || buffer.length < metaInt + 1 + metaLength) {
+            const { done, value } = await reader.read();
+            if (done) return undefined;
+            buffer = Buffer.concat([buffer, value]);
+            if (metaLength === null && buffer.length > metaInt) {
+                metaLength = buffer[metaInt] * 16;
+            }
+        }
+
+        const metadata = buffer.subarray(metaInt + 1, metaInt + 1 + metaLength).toString('utf8');
+        const match = metadata.match(/StreamTitle='(.*?)';/);
+        return match?.[1].trim() || null;
+    } finally {
+        clearTimeout(timeout);
+        controller.abort();
+    }
+}
+
+/**
+ * Radio Manager
+ * The curated station list for /radio (RADIO_STATIONS_FILE) and the song
+ * currently on air for guilds playing one of those stations, read from the
+ * stream's ICY metadata every 30 seconds. Only listed stations are read:
+ * URLs members pass to /radio url are never fetched by the bot itself.
+ * Guilds on the same station share one reader. Titles live in memory only.
+ *
+ * Stations file: [{ "name": "...", "url": "https://...", "genre": "..." }]
+ *
+ * @class RadioManager
+ */
+class RadioManager {
+    constructor(client) {
+        this.client = client;
+        this.stations = this.loadStations();
+        this.streams = new Map(); // Station URL -> { title, guildIds, interval }
+        this.guildStreams = new Map(); // Guild ID -> station URL
+    }
+
+    loadStations() {
+        try {
+            if (!fs.existsSync(STATIONS_FILE)) return [];
+            const parsed = JSON.parse(fs.readFileSync(STATIONS_FILE, 'utf-8'));
+            if (!Array.isArray(parsed)) throw new Error('expected an array of stations');
+
+            const stations = parsed.filter(station => {
+                const valid = typeof station?.name === 'string' && station.name.trim()
+                    && typeof station.url === 'string' && /^https?:\/\//i.test(station.url);
+                if (!valid) logger.warn(`Ignoring invalid radio station in ${STATIONS_FILE}:`, JSON.stringify(station));
+                return valid;
+            }).map(station => ({
+                name: station.name.trim(),
+                url: station.url,
+                genre: typeof station.genre === 'string' ? station.genre.trim() : '',
+            }));
+
+            logger.info(`Loaded ${stations.length} radio stations`);
+            return stations;
+        } catch (error) {
+            logger.error(`Failed to read radio stations from ${STATIONS_FILE}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * @param {string} name - Station name (case-insensitive)
+     * @returns {Object|null} { name, url, genre }
+     */
+    getStation(name) {
+        const needle = (name || '').trim().toLowerCase();
+        return this.stations.find(station => station.name.toLowerCase() === needle) || null;
+    }
+
+    /**
+     * Autocomplete choices for the station option
+     */
+    createStationChoices(input) {
+        const needle = input.trim().toLowerCase();
+        return this.stations
+            .filter(station => `${station.name} ${station.genre}`.toLowerCase().includes(needle))
+            .slice(0, MAX_CHOICES)
+            .map(station => ({
+                name: truncateText(station.genre ? `${station.name} — ${station.genre}` : station.name, MAX_CHOICE_LENGTH),
+                value: station.name,
+            }));
+    }
+
+    /**
+     * Loads a stream and labels the track after the station
+     *
+     * @param {Object} player - Lavalink player instance
+     * @param {Object} station - { name, url, genre }; name may be empty for custom URLs
+     * @param {import('discord.js').User} requester - Who started it
+     * @returns {Promise<Object|null>} The track, or null if the URL isn't a playable live stream
+     */
+    async loadStream(player, station, requester) {
+        const res = await player.search({ query: station.url }, requester);
+        const track = res?.tracks?.[0];
+        if (!track?.encoded || !track.info?.isStream) return null;
+
+        if (station.name) track.info.title = station.name;
+        track.info.author = station.genre || '';
+        track.userData = { ...track.userData, radio: { name: track.info.title, genre: station.genre || '' } };
+        return track;
+    }
+
+    /**
+     * The song on air for the guild's stream, if the stream reports it
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {string|null}
+     */
+    getStreamTitle(guildId) {
+        return this.streams.get(this.guildStreams.get(guildId))?.title || null;
+    }
+
+    /**
+     * Starts or stops reading stream metadata for a newly started track
+     *
+     * @param {Object} player - Lavalink player instance
+     * @param {Object} track - Track that started
+     */
+    handleTrackStart(player, track) {
+        const uri = track?.info?.isStream && track.info.sourceName === 'http' ? track.info.uri : null;
+        const url = uri && this.stations.some(station => station.url === uri) ? uri : null;
+        if (this.guildStreams.get(player.guildId) === url) return;
+
+        this.stop(player.guildId);
+        if (!url) return;
+
+        this.guildStreams.set(player.guildId, url);
+        const existing = this.streams.get(url);
+        if (existing) {
+            existing.guildIds.add(player.guildId);
+            return;
+        }
+
+        const stream = { title: null, guildIds: new Set([player.guildId]), interval: null };
+        this.streams.set(url, stream);
+        stream.interval = setInterval(() => this.refresh(url, stream), METADATA_POLL_MS);
+        this.refresh(url, stream);
+    }
+
+    async refresh(url, stream) {
+        try {
+            const title = await fetchStreamTitle(url);
+
+            // Every guild may have moved on while reading
+            if (this.streams.get(url) !== stream) return;
+
+            if (title === undefined) {
+                logger.debug(`Radio stream ${url} sends no ICY metadata`);
+                clearInterval(stream.interval);
+                return;
+            }
+
+            if (title !== stream.title) {
+                stream.title = title;
+                await Promise.all([...stream.guildIds].map(guildId => this.client.playerController.updatePlayer(guildId)));
+            }
+        } catch (error) {
+            logger.debug(`Failed to refresh radio metadata for ${url}:`, error.message);
+        }
+    }
+
+    /**
+     * Stops reading stream metadata for a guild
+     *
+     * @param {string} guildId - Discord guild ID
+     */
+    stop(guildId) {
+        const url = this.guildStreams.get(guildId);
+        if (!url) return;
+        this.guildStreams.delete(guildId);
+
+        const stream = this.streams.get(url);
+        if (!stream) return;
+        stream.guildIds.delete(guildId);
+        if (!stream.guildIds.size) {
+            clearInterval(stream.interval);
+            this.streams.delete(url);
+        }
+    }
+}
+
+module.exports = RadioManager;
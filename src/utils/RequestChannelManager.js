@@ -0,0 +1,290 @@
+const { PermissionsBitField } = require('discord.js');
+const JsonStore = require('./JsonStore');
+const { hasPermission } = require('./permissionChecker');
+const { joinVoiceChannel } = require('./interactionHelpers');
+const { queueQuery, formatQueuedMessage } = require('./PlayerActions');
+const logger = require('./logger');
+
+// Reading what members type needs the privileged Message Content intent
+const REQUEST_CHANNEL_ENABLED = process.env.REQUEST_CHANNEL_ENABLED === 'true';
+
+// Replies and notices in a request channel are removed after this long
+const NOTICE_LIFETIME_MS = 10000;
+
+const REQUIRED_PERMISSIONS = [
+    PermissionsBitField.Flags.ViewChannel,
+    PermissionsBitField.Flags.SendMessages,
+    PermissionsBitField.Flags.EmbedLinks,
+    PermissionsBitField.Flags.ReadMessageHistory,
+    PermissionsBitField.Flags.ManageMessages,
+    PermissionsBitField.Flags.PinMessages,
+];
+
+/**
+ * Song Request Channels
+ * A channel where every message is treated as a /play query and deleted,
+ * leaving one persistent controller message, pinned to the top of the
+ * channel, that shows the player while something plays and an idle embed
+ * otherwise.
+ *
+ * Stored per guild: { channelId, messageId }
+ *
+ * @class RequestChannelManager
+ */
+class RequestChannelManager {
+    constructor(client) {
+        this.client = client;
+        this.store = new JsonStore('request-channels.json');
+    }
+
+    /**
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object|null} Stored request channel, or null if none (or the feature is off)
+     */
+    get(guildId) {
+        return REQUEST_CHANNEL_ENABLED ? this.store.get(guildId) || null : null;
+    }
+
+    /**
+     * Lists the permissions the bot is missing to run a request channel
+     *
+     * @param {import('discord.js').TextChannel} channel - Channel to check
+     * @returns {string[]} Missing permission names (empty if none)
+     */
+    getMissingPermissions(channel) {
+        const permissions = channel.permissionsFor(channel.guild.members.me);
+        return new PermissionsBitField(REQUIRED_PERMISSIONS)
+            .toArray()
+            .filter(permission => !permissions?.has(permission));
+    }
+
+    /**
+     * Makes a channel the guild's request channel, moving the controller there
+     * and pinning it
+     *
+     * @param {import('discord.js').TextChannel} channel - Channel to use
+     * @throws If the controller message can't be pinned (the channel is set up regardless)
+     */
+    async setup(channel) {
+        const { client } = this;
+        const guildId = channel.guild.id;
+        const previous = this.get(guildId);
+        const player = client.lavalink?.getPlayer(guildId);
+
+        // Drop the current controller (or idle the old request message) before it moves
+        await client.playerController.deletePlayer(guildId);
+
+        if (previous && previous.channelId !== channel.id) {
+            await this.deleteMessage(previous).catch(() => {});
+        }
+        this.store.set(guildId, {
+            channelId: channel.id,
+            messageId: previous?.channelId === channel.id ? previous.messageId : null,
+        });
+
+        if (player?.queue.current) {
+            await client.playerController.sendPlayer(channel, player);
+        } else {
+            await this.showIdle(guildId);
+        }
+
+        const { messageId } = this.get(guildId) || {};
+        const message = messageId ? await channel.messages.fetch(messageId) : null;
+        if (message && !message.pinned) {
+            await message.pin();
+        }
+    }
+
+    /**
+     * Turns a guild's request channel back into a normal channel, deleting the
+     * persistent message and reposting the controller there if something plays
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<boolean>} True if the guild had a request channel
+     */
+    async remove(guildId) {
+        const { client } = this;
+        const state = this.store.get(guildId);
+        if (!state) return false;
+
+        this.store.delete(guildId);
+
+        const playerMessage = client.playerController.playerMessages.get(guildId);
+        if (playerMessage && playerMessage.messageId === state.messageId) {
+            client.playerController.stopProgressUpdates(guildId);
+            client.playerController.playerMessages.delete(guildId);
+        }
+        await this.deleteMessage(state).catch(() => {});
+
+        const player = client.lavalink?.getPlayer(guildId);
+        const channel = client.channels.cache.get(state.channelId);
+        if (player?.queue.current && channel && !client.playerController.playerMessages.has(guildId)) {
+            await client.playerController.sendPlayer(channel, player).catch(() => {});
+        }
+        return true;
+    }
+
+    /**
+     * Forgets a guild's request channel without touching any messages
+     * (the bot was removed from the guild)
+     *
+     * @param {string} guildId - Discord guild ID
+     */
+    forget(guildId) {
+        this.store.delete(guildId);
+    }
+
+    async deleteMessage({ channelId, messageId }) {
+        const channel = this.client.channels.cache.get(channelId);
+        if (channel && messageId) {
+            await channel.messages.delete(messageId);
+        }
+    }
+
+    /**
+     * Edits the persistent message, sending a new one if it was deleted.
+     * Forgets the request channel if the channel itself is gone.
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {Object} payload - Message content ({ embeds, components })
+     * @returns {Promise<import('discord.js').Message|null>} The persistent message
+     */
+    async render(guildId, payload) {
+        const state = this.get(guildId);
+        if (!state) return null;
+
+        const channel = this.client.channels.cache.get(state.channelId);
+        if (!channel) {
+            logger.warn(`Request channel for guild ${guildId} no longer exists, removing it`);
+            this.store.delete(guildId);
+            return null;
+        }
+
+        const existing = state.messageId
+            ? await channel.messages.fetch(state.messageId).catch(() => null)
+            : null;
+        if (existing) {
+            return existing.edit(payload);
+        }
+
+        const message = await channel.send(payload);
+        this.store.set(guildId, { ...state, messageId: message.id });
+
+        // A replacement controller goes back to the top too; /setup reports pin failures
+        await message.pin().catch(error => {
+            logger.warn(`Failed to pin request channel message in guild ${guildId}:`, error.message);
+        });
+        return message;
+    }
+
+    /**
+     * Shows the idle embed in the guild's request channel
+     *
+     * @param {string} guildId - Discord guild ID
+     */
+    async showIdle(guildId) {
+        const embed = this.client.playerController.createIdleEmbed(guildId);
+        await this.render(guildId, { embeds: [embed], components: [] });
+    }
+
+    /**
+     * Posts a notice in a request channel that removes itself shortly after
+     */
+    async notify(channel, content) {
+        const message = await channel.send({ content, allowedMentions: { parse: [] } }).catch(() => null);
+        if (message) this.scheduleDelete(message);
+    }
+
+    scheduleDelete(message) {
+        setTimeout(() => {
+            // The persistent message may have been stored after it was scheduled
+            if (message.id === this.get(message.guildId)?.messageId) return;
+            message.delete().catch(() => {});
+        }, NOTICE_LIFETIME_MS);
+    }
+
+    /**
+     * Handles a message created in any guild channel. Messages in a request
+     * channel are deleted; those from members are queued like /play first.
+     *
+     * @param {import('discord.js').Message} message - The new message
+     * @returns {boolean} True if the message was in a request channel
+     */
+    handleMessage(message) {
+        const state = this.get(message.guildId);
+        if (!state || message.channelId !== state.channelId || message.id === state.messageId) return false;
+
+        // Keep the bot's own notices around long enough to be read
+        if (message.author.id === this.client.user.id) {
+            this.scheduleDelete(message);
+            return true;
+        }
+
+        message.delete().catch(() => {});
+
+        const query = message.content.trim();
+        if (message.author.bot || message.system || !query) return true;
+
+        this.play(message, query.slice(0, 500)).catch(error => {
+            logger.error('Error handling request channel message:', error);
+            this.notify(message.channel, this.client.languageManager.get(this.client.getLanguage(message.guildId), 'GENERIC_ERROR'));
+        });
+        return true;
+    }
+
+    async play(message, query) {
+        const { client } = this;
+        const { guild, member, channel } = message;
+        const lang = client.getLanguage(guild.id);
+        const t = (key, ...args) => client.languageManager.get(lang, key, ...args);
+        const reply = content => this.notify(channel, `${member} ${content}`);
+
+        if (!member || !hasPermission(member, client.guildSettings.get(guild.id).allowedRoles)) {
+            return reply(t('NO_PERMISSION'));
+        }
+
+        const voiceChannel = member.voice.channel;
+        if (!voiceChannel) {
+            return reply(t('NOT_IN_VOICE'));
+        }
+
+        if (!client.lavalinkConnectionManager.isAvailable()) {
+            return reply(t('LAVALINK_UNAVAILABLE'));
+        }
+
+        logger.cmd(`Request "${query}" by ${member.user.tag} in #${channel.name} (Guild: ${guild.name})`);
+
+        const player = joinVoiceChannel(client, voiceChannel, channel.id);
+        if (!player) {
+            return reply(t('ERROR_SAME_VOICE_CHANNEL'));
+        }
+
+        const queued = await queueQuery(player, query, member.user);
+        if (!queued) {
+            return reply(t('NO_RESULTS'));
+        }
+
+        client.searchSuggestions.remember(guild.id, member.id, query);
+        await reply(formatQueuedMessage(client, lang, queued));
+        await client.playerController.showPlayer(channel, player);
+    }
+
+    /**
+     * Makes sure every request channel has its persistent message after a restart
+     */
+    async restoreAll() {
+        if (!REQUEST_CHANNEL_ENABLED) return;
+
+        for (const guildId of this.store.keys()) {
+            if (!this.client.guilds.cache.has(guildId)) continue;
+            if (this.client.playerController.playerMessages.has(guildId)) continue;
+
+            await this.showIdle(guildId).catch(error => {
+                logger.warn(`Failed to restore request channel for guild ${guildId}:`, error.message);
+            });
+        }
+    }
+}
+
+module.exports = RequestChannelManager;
+module.exports.REQUEST_CHANNEL_ENABLED = REQUEST_CHANNEL_ENABLED;
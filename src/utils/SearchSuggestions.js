@@ -0,0 +1,186 @@
+const { formatDuration } = require('./embeds');
+const { truncateText } = require('./trackSelectMenu');
+const { getSearchNode, getSearchSource } = require('./searchSources');
+const logger = require('./logger');
+
+// Discord sends an autocomplete request per keystroke; only the last one after a pause is searched
+const DEBOUNCE_MS = 350;
+// Autocomplete must be answered within 3 seconds
+const SEARCH_TIMEOUT_MS = 2000;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+const MIN_SEARCH_LENGTH = 2;
+const MAX_RECENT_QUERIES = 10;
+const MAX_RECENT_CHOICES = 5;
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+/**
+ * Search Suggestions
+ * Autocomplete choices for /play: live results from the Lavalink node,
+ * blended with the member's and server's recent queries. Searches are
+ * debounced per user, cached and shared between identical requests.
+ * Recent queries live in memory only.
+ *
+ * @class SearchSuggestions
+ */
+class SearchSuggestions {
+    constructor(client) {
+        this.client = client;
+        this.recentQueries = new Map(); // "user:<id>" or "guild:<id>" -> queries, newest first
+        this.cache = new Map(); // "<source>:<lowercased query>" -> { tracks, expiresAt }
+        this.inFlight = new Map(); // Same keys -> pending search
+        this.latestRequests = new Map(); // User ID -> token of their newest request
+    }
+
+    /**
+     * Records a query someone played, for suggesting it again later
+     *
+     * @param {string} guildId - Discord guild ID
+     * @param {string} userId - Discord user ID
+     * @param {string} query - Query as typed
+     */
+    remember(guildId, userId, query) {
+        const value = query.trim();
+        if (!value || value.length > MAX_CHOICE_LENGTH) return;
+
+        for (const key of [`user:${userId}`, `guild:${guildId}`]) {
+            const queries = (this.recentQueries.get(key) || []).filter(recent => recent.toLowerCase() !== value.toLowerCase());
+            this.recentQueries.set(key, [value, ...queries].slice(0, MAX_RECENT_QUERIES));
+        }
+    }
+
+    /**
+     * Recent queries matching the input, the member's own first
+     */
+    getRecent(guildId, userId, input) {
+        const needle = input.toLowerCase();
+        const seen = new Set();
+
+        return [
+            ...(this.recentQueries.get(`user:${userId}`) || []),
+            ...(this.recentQueries.get(`guild:${guildId}`) || []),
+        ].filter(query => {
+            const key = query.toLowerCase();
+            if (seen.has(key) || !key.includes(needle)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Builds the autocomplete choices for a /play query
+     *
+     * @param {import('discord.js').AutocompleteInteraction} interaction - Autocomplete interaction
+     * @returns {Promise<Array<{name: string, value: string}>>} Up to 25 choices
+     */
+    async suggest(interaction) {
+        const { client } = this;
+        const input = interaction.options.getFocused().trim();
+
+        if (!client.lavalinkConnectionManager.isAvailable()) return [];
+
+        const recent = this.getRecent(interaction.guildId, interaction.user.id, input)
+            .slice(0, input ? MAX_RECENT_CHOICES : MAX_CHOICES)
+            .map(query => ({ name: truncateText(`🕘 ${query}`, MAX_CHOICE_LENGTH), value: query }));
+
+        if (input.length < MIN_SEARCH_LENGTH) return recent;
+
+        // Searches the source picked in the same command, if the node has it
+        const node = getSearchNode(client, interaction.guildId);
+        const source = getSearchSource(node, interaction.options.getString('source'))?.prefix;
+        const key = `${source || ''}:${input.toLowerCase()}`;
+
+        // Wait for the member to stop typing; a newer keystroke takes over
+        const token = Symbol('request');
+        this.latestRequests.set(interaction.user.id, token);
+        if (!this.getCached(key)) {
+            await new Promise(resolve => setTimeout(resolve, DEBOUNCE_MS));
+            if (this.latestRequests.get(interaction.user.id) !== token) return recent;
+        }
+        this.latestRequests.delete(interaction.user.id);
+
+        const tracks = await this.search(node, key, { query: input, source }).catch(error => {
+            logger.debug(`Autocomplete search failed for "${input}":`, error.message);
+            return [];
+        });
+
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        const recentValues = new Set(recent.map(choice => choice.value));
+        const live = tracks
+            .map(track => this.createTrackChoice(track, lang))
+            .filter(choice => !recentValues.has(choice.value));
+
+        return [...recent, ...live].slice(0, MAX_CHOICES);
+    }
+
+    getCached(key) {
+        const entry = this.cache.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt < Date.now()) {
+            this.cache.delete(key);
+            return null;
+        }
+        return entry.tracks;
+    }
+
+    /**
+     * Searches a node, reusing cached and in-flight results
+     *
+     * @param {Object} node - Lavalink node
+     * @param {string} key - Cache key
+     * @param {Object} searchQuery - { query, source } as passed to node.search
+     * @returns {Promise<Array>} Matching tracks
+     */
+    async search(node, key, searchQuery) {
+        const cached = this.getCached(key);
+        if (cached) return cached;
+        if (this.inFlight.has(key)) return this.inFlight.get(key);
+        if (!node) return [];
+
+        let timeout;
+        const request = Promise.race([
+            node.search(searchQuery, this.client.user),
+            new Promise((_, reject) => {
+                timeout = setTimeout(() => reject(new Error('Autocomplete search timed out')), SEARCH_TIMEOUT_MS);
+            }),
+        ])
+            .then(res => {
+                const tracks = (res?.tracks || []).slice(0, MAX_CHOICES);
+                this.cache.set(key, { tracks, expiresAt: Date.now() + CACHE_TTL_MS });
+                // Maps keep insertion order, so the first key is the oldest
+                if (this.cache.size > MAX_CACHE_ENTRIES) {
+                    this.cache.delete(this.cache.keys().next().value);
+                }
+                return tracks;
+            })
+            .finally(() => {
+                clearTimeout(timeout);
+                this.inFlight.delete(key);
+            });
+
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * "Title — Artist — 3:45", played by URL when it fits in a choice value
+     */
+    createTrackChoice(track, lang) {
+        const { info } = track;
+        const duration = info.isStream
+            ? `🔴 ${this.client.languageManager.get(lang, 'PLAYER_LIVE')}`
+            : formatDuration(info.duration || 0);
+        const title = info.title || 'Unknown';
+        const suffix = ` — ${truncateText(info.author || 'Unknown', 30)} — ${duration}`;
+
+        return {
+            name: `${truncateText(title, MAX_CHOICE_LENGTH - suffix.length)}${suffix}`,
+            value: info.uri && info.uri.length <= MAX_CHOICE_LENGTH
+                ? info.uri
+                : truncateText(`${title} ${info.author || ''}`.trim(), MAX_CHOICE_LENGTH),
+        };
+    }
+}
+
+module.exports = SearchSuggestions;
@@ -0,0 +1,209 @@
+const { stopPlayback } = require('./PlayerActions');
+const logger = require('./logger');
+
+const MIN_DURATION_MS = 60 * 1000;
+const MAX_DURATION_MS = 12 * 60 * 60 * 1000;
+const FADE_DURATION_MS = 30000;
+const FADE_STEP_MS = 2000;
+const FOOTER_REFRESH_MS = 60000;
+
+/**
+ * Parses a sleep duration: plain minutes ("30"), hours and minutes ("1:30")
+ * or units ("1h30m", "45m", "90s")
+ *
+ * @param {string} input - Duration entered by the user
+ * @returns {number|null} Milliseconds, or null if invalid or out of range
+ */
+function parseDuration(input) {
+    const value = (input || '').trim().toLowerCase();
+    let ms = null;
+
+    if (/^\d+$/.test(value)) {
+        ms = parseInt(value, 10) * 60 * 1000;
+    } else if (/^\d+:\d{2}$/.test(value)) {
+        const [hours, minutes] = value.split(':').map(Number);
+        ms = (hours * 60 + minutes) * 60 * 1000;
+    } else {
+        const match = value.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?\s*(?:(\d+)\s*s)?$/);
+        if (match && (match[1] || match[2] || match[3])) {
+            const [, hours, minutes, seconds] = match.map(part => parseInt(part, 10) || 0);
+            ms = ((hours * 60 + minutes) * 60 + seconds) * 1000;
+        }
+    }
+
+    return ms !== null && ms >= MIN_DURATION_MS && ms <= MAX_DURATION_MS ? ms : null;
+}
+
+/**
+ * Sleep Timer Manager
+ * Stops playback at a set time, at the end of the current track or at the
+ * end of the queue, optionally fading the volume out over the last seconds.
+ * Timers live in memory and are cancelled whenever the guild's player is
+ * cleaned up.
+ *
+ * Modes:
+ * - time: stop once endsAt is reached
+ * - track: stop when the current track ends
+ * - queue: stop when the queue runs out (autoplay and 24/7 fallback are skipped)
+ *
+ * @class SleepTimerManager
+ */
+class SleepTimerManager {
+    constructor(client) {
+        this.client = client;
+        this.timers = new Map(); // Guild ID -> { mode, endsAt, fade, faded, timeouts, intervals }
+    }
+
+    /**
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object|null} Active timer ({ mode, endsAt, fade })
+     */
+    get(guildId) {
+        return this.timers.get(guildId) || null;
+    }
+
+    /**
+     * Whether autoplay should stay off because the guild sleeps when the queue ends
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {boolean}
+     */
+    blocksAutoplay(guildId) {
+        const timer = this.get(guildId);
+        return Boolean(timer) && timer.mode !== 'time';
+    }
+
+    /**
+     * Starts (or replaces) a guild's sleep timer
+     *
+     * @param {Object} player - Lavalink player instance
+     * @param {Object} options
+     * @param {string} options.mode - 'time', 'track' or 'queue'
+     * @param {number} [options.durationMs] - Time until playback stops (time mode)
+     * @param {boolean} [options.fade=false] - Fade the volume out before stopping
+     * @returns {Object} The new timer
+     */
+    set(player, { mode, durationMs, fade = false }) {
+        const { guildId } = player;
+        this.cancel(guildId);
+
+        const timer = {
+            mode,
+            endsAt: mode === 'time' ? Date.now() + durationMs : null,
+            fade,
+            faded: false,
+            timeouts: [],
+            intervals: [],
+        };
+
+        if (mode === 'time') {
+            timer.timeouts.push(setTimeout(() => {
+                this.fire(guildId).catch(error => logger.error(`Sleep timer failed in guild ${guildId}:`, error));
+            }, durationMs));
+            timer.intervals.push(setInterval(() => {
+                this.client.playerController.updatePlayer(guildId).catch(() => {});
+            }, FOOTER_REFRESH_MS));
+        }
+
+        if (fade) {
+            timer.intervals.push(setInterval(() => this.applyFade(guildId), FADE_STEP_MS));
+        }
+
+        this.timers.set(guildId, timer);
+        return timer;
+    }
+
+    /**
+     * Milliseconds until the timer stops playback, or null if unknown
+     * (stream, or more tracks queued in queue mode)
+     */
+    getRemainingMs(player, timer) {
+        if (timer.mode === 'time') return timer.endsAt - Date.now();
+
+        const track = player.queue.current;
+        if (!track || track.info?.isStream || !track.info?.duration) return null;
+        if (timer.mode === 'queue' && (player.queue.tracks.length > 0 || player.repeatMode !== 'off')) return null;
+
+        return track.info.duration - player.position;
+    }
+
+    applyFade(guildId) {
+        const timer = this.get(guildId);
+        const player = this.client.lavalink.getPlayer(guildId);
+        if (!timer || !player) return;
+
+        const remaining = this.getRemainingMs(player, timer);
+        if (remaining === null || remaining > FADE_DURATION_MS) {
+            // The track was skipped or more songs were queued; undo a fade that already started
+            if (timer.faded) {
+                timer.faded = false;
+                this.resetVolume(player);
+            }
+            return;
+        }
+
+        timer.faded = true;
+        const volume = Math.max(0, Math.min(1, remaining / FADE_DURATION_MS));
+        player.filterManager.setVolume(Math.round(volume * 100) / 100).catch(() => {});
+    }
+
+    resetVolume(player) {
+        if (player.filterManager.data?.volume !== undefined && player.filterManager.data.volume !== 1) {
+            player.filterManager.setVolume(1).catch(() => {});
+        }
+    }
+
+    clear(guildId) {
+        const timer = this.timers.get(guildId);
+        if (!timer) return null;
+
+        timer.timeouts.forEach(clearTimeout);
+        timer.intervals.forEach(clearInterval);
+        this.timers.delete(guildId);
+        return timer;
+    }
+
+    /**
+     * Cancels a guild's sleep timer and undoes any fade in progress
+     *
+     * @param {string} guildId - Discord guild ID
+     * @returns {boolean} True if a timer was running
+     */
+    cancel(guildId) {
+        const timer = this.clear(guildId);
+        if (!timer) return false;
+
+        const player = this.client.lavalink.getPlayer(guildId);
+        if (timer.faded && player) this.resetVolume(player);
+        return true;
+    }
+
+    /**
+     * Stops playback for a guild whose timer ran out. The player is destroyed,
+     * or kept without a queue in 24/7 mode.
+     *
+     * @param {string} guildId - Discord guild ID
+     */
+    async fire(guildId) {
+        const { client } = this;
+        const timer = this.clear(guildId);
+        const player = client.lavalink.getPlayer(guildId);
+        if (!timer || !player) return;
+
+        const playerMessage = client.playerController.playerMessages.get(guildId);
+        const textChannel = playerMessage && client.channels.cache.get(playerMessage.channelId);
+        if (textChannel) {
+            textChannel.send(client.languageManager.get(client.getLanguage(guildId), 'SLEEP_TIMER_ENDED')).catch(() => {});
+        }
+
+        logger.info(`Sleep timer stopped playback in guild ${guildId}`);
+        await stopPlayback(client, player);
+
+        if (timer.faded && client.lavalink.getPlayer(guildId) === player) {
+            this.resetVolume(player);
+        }
+    }
+}
+
+module.exports = SleepTimerManager;
+module.exports.parseDuration = parseDuration;
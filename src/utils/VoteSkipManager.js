@@ -0,0 +1,85 @@
+/**
+ * Vote Skip Manager
+ * Collects skip votes from listeners in the player's voice channel until the
+ * guild's threshold is reached. Votes belong to the current track and are
+ * reset when the next one starts.
+ *
+ * @class VoteSkipManager
+ */
+class VoteSkipManager {
+    constructor(client) {
+        this.client = client;
+        this.votes = new Map(); // Guild ID -> Set of user IDs
+    }
+
+    /**
+     * Gets the non-bot members in the player's voice channel
+     *
+     * @param {Object} player - Lavalink player instance
+     * @returns {import('discord.js').Collection} Listening members
+     */
+    getListeners(player) {
+        const channel = this.client.channels.cache.get(player.voiceChannelId);
+        return channel?.members?.filter(member => !member.user.bot) || new Map();
+    }
+
+    /**
+     * Gets how many votes are needed to skip the current track
+     *
+     * @param {Object} player - Lavalink player instance
+     * @returns {number} Required votes (at least 1)
+     */
+    getRequiredVotes(player) {
+        const { voteSkipThreshold } = this.client.guildSettings.get(player.guildId);
+        return Math.max(1, Math.ceil(this.getListeners(player).size * voteSkipThreshold / 100));
+    }
+
+    /**
+     * Gets the current vote count, only counting voters still in the channel
+     *
+     * @param {Object} player - Lavalink player instance
+     * @returns {{votes: number, required: number}|null} Vote status, or null if nobody has voted
+     */
+    getStatus(player) {
+        const voters = this.votes.get(player.guildId);
+        if (!voters?.size) return null;
+
+        const listeners = this.getListeners(player);
+        const votes = [...voters].filter(userId => listeners.has(userId)).length;
+        return { votes, required: this.getRequiredVotes(player) };
+    }
+
+    /**
+     * Adds a user's vote to skip the current track
+     *
+     * @param {Object} player - Lavalink player instance
+     * @param {string} userId - Discord user ID
+     * @returns {{added: boolean, passed: boolean, votes: number, required: number}} Vote result
+     */
+    vote(player, userId) {
+        if (!this.votes.has(player.guildId)) {
+            this.votes.set(player.guildId, new Set());
+        }
+
+        const voters = this.votes.get(player.guildId);
+        const added = !voters.has(userId);
+        voters.add(userId);
+
+        const { votes, required } = this.getStatus(player);
+        const passed = votes >= required;
+        if (passed) this.reset(player.guildId);
+
+        return { added, passed, votes, required };
+    }
+
+    /**
+     * Clears the votes for a guild
+     *
+     * @param {string} guildId - Discord guild ID
+     */
+    reset(guildId) {
+        this.votes.delete(guildId);
+    }
+}
+
+module.exports = VoteSkipManager;
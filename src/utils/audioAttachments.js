@@ -0,0 +1,105 @@
+// Audio files uploaded to Discord, played through Lavalink's HTTP source
+
+// Containers and codecs Lavalink can decode
+const SUPPORTED_CONTENT_TYPES = new Set([
+    'audio/mpeg',
+    'audio/mp3',
+    'audio/flac',
+    'audio/x-flac',
+    'audio/wav',
+    'audio/wave',
+    'audio/x-wav',
+    'audio/ogg',
+    'audio/opus',
+    'audio/webm',
+    'audio/mp4',
+    'audio/x-m4a',
+    'audio/aac',
+    'application/ogg',
+]);
+
+// Largest attachment /play accepts, in megabytes
+const ATTACHMENT_MAX_SIZE_MB = (() => {
+    const value = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB || "25", 10);
+    return isNaN(value) || value <= 0 ? 25 : value;
+})();
+
+/**
+ * @param {import('discord.js').Attachment} attachment - Uploaded file
+ * @returns {string|null} Locale key explaining why it can't be played, or null if it can
+ */
+function validateAudioAttachment(attachment) {
+    // Discord may append parameters, e.g. "audio/ogg; codecs=opus"
+    const contentType = attachment.contentType?.split(';')[0].trim().toLowerCase();
+    if (!contentType || !SUPPORTED_CONTENT_TYPES.has(contentType)) {
+        return 'PLAY_FILE_UNSUPPORTED';
+    }
+    if (attachment.size > ATTACHMENT_MAX_SIZE_MB * 1024 * 1024) {
+        return 'PLAY_FILE_TOO_LARGE';
+    }
+    return null;
+}
+
+/**
+ * Discord signs attachment URLs; the "ex" parameter is when the link stops
+ * working (hex Unix seconds)
+ *
+ * @param {string} url - Attachment URL
+ * @returns {number|null} Expiry time in ms, or null if the URL doesn't say
+ */
+function getAttachmentExpiry(url) {
+    try {
+        const expiresAt = parseInt(new URL(url).searchParams.get('ex'), 16) * 1000;
+        return Number.isFinite(expiresAt) ? expiresAt : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {Object} track - Lavalink track
+ * @returns {boolean} Whether the track plays an uploaded file
+ */
+function isAttachmentTrack(track) {
+    return Boolean(track?.userData?.attachment);
+}
+
+/**
+ * @param {Object} track - Lavalink track
+ * @returns {boolean} Whether the track plays an uploaded file whose link has expired
+ */
+function isExpiredAttachment(track) {
+    const expiresAt = track?.userData?.attachment?.expiresAt;
+    return isAttachmentTrack(track) && Boolean(expiresAt) && expiresAt <= Date.now();
+}
+
+/**
+ * Loads an attachment through the HTTP source. The file has no tags Lavalink
+ * reads, so the track is titled after the file and credited to the uploader.
+ * It is marked in userData, as its link expires: playlists leave it out, and
+ * resuming after a restart or requeueing from /history drops it once expired.
+ *
+ * @param {Object} player - Lavalink player instance
+ * @param {import('discord.js').Attachment} attachment - Validated upload
+ * @param {import('discord.js').User} uploader - Who uploaded it
+ * @returns {Promise<Object|null>} The track, or null if Lavalink couldn't load it
+ */
+async function loadAttachmentTrack(player, attachment, uploader) {
+    const res = await player.search({ query: attachment.url }, uploader);
+    const track = res?.tracks?.[0];
+    if (!track?.encoded) return null;
+
+    track.info.title = attachment.name.replace(/\.[^.]+$/, '').replace(/_/g, ' ') || attachment.name;
+    track.info.author = uploader.globalName || uploader.username;
+    track.info.uri = attachment.url;
+    track.userData = { ...track.userData, attachment: { expiresAt: getAttachmentExpiry(attachment.url) } };
+    return track;
+}
+
+module.exports = {
+    ATTACHMENT_MAX_SIZE_MB,
+    validateAudioAttachment,
+    isAttachmentTrack,
+    isExpiredAttachment,
+    loadAttachmentTrack,
+};
@@ -1,9 +1,80 @@
-const { REST, Routes } = require('discord.js');
+const { REST, Routes, Locale, ApplicationCommandType } = require('discord.js');
 const logger = require('./logger');
 
+const BASE_LOCALE = 'en';
+const CHAT_INPUT_NAME_PATTERN = /^[-_\p{Ll}\p{Lm}\p{Lo}\p{N}\p{sc=Deva}\p{sc=Thai}]{1,32}$/u;
+const MAX_DESCRIPTION_LENGTH = 100;
+
+/**
+ * Groups Discord locales by the locale file that serves them
+ * (e.g. "es" -> ["es-ES", "es-419"]), skipping the base locale.
+ */
+function getDiscordLocales(languageManager) {
+    const map = new Map();
+    for (const discordLocale of Object.values(Locale)) {
+        const code = languageManager.resolveLocale(discordLocale);
+        if (!code || code === BASE_LOCALE) continue;
+        if (!map.has(code)) map.set(code, []);
+        map.get(code).push(discordLocale);
+    }
+    return map;
+}
+
+function toKeySegment(name) {
+    return name.toUpperCase().replace(/[-\s]/g, '_');
+}
+
+function buildLocalizations(languageManager, discordLocales, key, isValid) {
+    const localizations = {};
+    for (const [code, locales] of discordLocales) {
+        const value = languageManager.getOwn(code, key);
+        if (!value) continue;
+        if (!isValid(value)) {
+            logger.warn(`Ignoring invalid "${code}" localization for ${key}: "${value}"`);
+            continue;
+        }
+        for (const locale of locales) localizations[locale] = value;
+    }
+    return Object.keys(localizations).length ? localizations : null;
+}
+
+/**
+ * Applies COMMAND_* locale keys to a command (or option) JSON payload in place:
+ * the base locale replaces the description, other locales become localization maps.
+ * Keys follow the option path, e.g. COMMAND_PLAY_QUERY_DESCRIPTION.
+ */
+function localizeCommandData(languageManager, discordLocales, data, keyPrefix, isTopLevel) {
+    const isChatInput = !data.type || data.type === ApplicationCommandType.ChatInput || !isTopLevel;
+    const isValidDescription = value => value.length <= MAX_DESCRIPTION_LENGTH;
+    const isValidName = value => isChatInput
+        ? CHAT_INPUT_NAME_PATTERN.test(value)
+        : value.length >= 1 && value.length <= 32;
+
+    if (isTopLevel) {
+        const nameLocalizations = buildLocalizations(languageManager, discordLocales, `${keyPrefix}_NAME`, isValidName);
+        if (nameLocalizations) data.name_localizations = nameLocalizations;
+    }
+
+    if (isChatInput) {
+        const descriptionKey = `${keyPrefix}_DESCRIPTION`;
+        const baseDescription = languageManager.getOwn(BASE_LOCALE, descriptionKey);
+        if (baseDescription && isValidDescription(baseDescription)) data.description = baseDescription;
+
+        const descriptionLocalizations = buildLocalizations(languageManager, discordLocales, descriptionKey, isValidDescription);
+        if (descriptionLocalizations) data.description_localizations = descriptionLocalizations;
+    }
+
+    for (const option of data.options || []) {
+        localizeCommandData(languageManager, discordLocales, option, `${keyPrefix}_${toKeySegment(option.name)}`, false);
+    }
+
+    return data;
+}
+
 async function deployCommands(client) {
     const commands = [];
     const seenNames = new Set();
+    const discordLocales = getDiscordLocales(client.languageManager);
 
     client.commands.forEach(command => {
         const commandData = command.data.toJSON();
@@ -14,7 +85,13 @@ async function deployCommands(client) {
         }
 
         seenNames.add(commandData.name);
-        commands.push(commandData);
+        commands.push(localizeCommandData(
+            client.languageManager,
+            discordLocales,
+            commandData,
+            `COMMAND_${toKeySegment(commandData.name)}`,
+            true
+        ));
     });
 
     const rest = new REST({ version: '10' }).setToken(process.env.TOKEN);
@@ -1,5 +1,6 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { createTrackSelectMenu } = require('./trackSelectMenu');
+const { getSourceLabel } = require('./searchSources');
 
 /**
  * Formats duration from milliseconds to readable format
@@ -19,16 +20,32 @@ function formatDuration(ms) {
     }
 }
 
+/**
+ * Creates a text progress bar with the elapsed and remaining time
+ *
+ * @param {number} position - Elapsed time in milliseconds
+ * @param {number} duration - Track length in milliseconds
+ * @param {number} [size=16] - Number of bar segments
+ * @returns {string} Progress bar (e.g., "`1:23` ━━━━━━●───────── `-2:22`")
+ */
+function createProgressBar(position, duration, size = 16) {
+    const elapsed = Math.max(0, Math.min(position, duration));
+    const filled = duration > 0 ? Math.round((elapsed / duration) * (size - 1)) : 0;
+    const bar = `${'━'.repeat(filled)}●${'─'.repeat(size - 1 - filled)}`;
+
+    return `\`${formatDuration(elapsed)}\` ${bar} \`-${formatDuration(duration - elapsed)}\``;
+}
+
 /**
  * Creates the search results embed with pagination
  *
  * @param {Object} client - Discord client instance
  * @param {Object} pageData - Page data from search session
  * @param {string} query - Original search query
+ * @param {string} lang - Locale code to render the embed in
  * @returns {EmbedBuilder} Configured embed builder for search results
  */
-function createSearchEmbed(client, pageData, query) {
-    const lang = client.defaultLanguage;
+function createSearchEmbed(client, pageData, query, lang) {
     const { tracks, currentPage, totalPages, totalTracks } = pageData;
 
     const embed = new EmbedBuilder()
@@ -43,10 +60,11 @@ function createSearchEmbed(client, pageData, query) {
     tracks.forEach((track, index) => {
         const globalIndex = pageData.startIndex + index;
         const duration = formatDuration(track.info?.duration || 0);
+        const source = getSourceLabel(track.info?.sourceName);
 
         embed.addFields({
             name: `${globalIndex + 1}. ${track.info?.title || 'Unknown Title'}`,
-            value: `**${client.languageManager.get(lang, 'SEARCH_ARTIST')}:** ${track.info?.author || 'Unknown'}\n**${client.languageManager.get(lang, 'SEARCH_DURATION')}:** ${duration}`,
+            value: `**${client.languageManager.get(lang, 'SEARCH_ARTIST')}:** ${track.info?.author || 'Unknown'}\n**${client.languageManager.get(lang, 'SEARCH_DURATION')}:** ${duration}\n**${client.languageManager.get(lang, 'SEARCH_SOURCE')}:** ${source}`,
             inline: false
         });
     });
@@ -60,10 +78,10 @@ function createSearchEmbed(client, pageData, query) {
  * @param {Object} client - Discord client instance
  * @param {Object} pageData - Page data from search session
  * @param {string} sessionId - Unique search session identifier
+ * @param {string} lang - Locale code to render the components in
  * @returns {Array} Array of ActionRowBuilder components
  */
-function createSearchComponents(client, pageData, sessionId) {
-    const lang = client.defaultLanguage;
+function createSearchComponents(client, pageData, sessionId, lang) {
     const { hasNext, hasPrevious, tracks, startIndex } = pageData;
 
     const components = [];
@@ -112,6 +130,7 @@ function createSearchComponents(client, pageData, sessionId) {
 
 module.exports = {
     formatDuration,
+    createProgressBar,
     createSearchEmbed,
     createSearchComponents,
 };
@@ -1,4 +1,5 @@
 const { MessageFlags } = require('discord.js');
+const { canForceSkip } = require('./permissionChecker');
 const logger = require('./logger');
 
 // Check if Lavalink is available
@@ -8,7 +9,7 @@ const isLavalinkAvailable = (client) => {
 
 // Handle Lavalink connection errors consistently
 const handleLavalinkError = async (interaction, error, client) => {
-    const lang = client.defaultLanguage;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
     const msg = error?.message || '';
     const key = error?.name === 'TimeoutError' || /aborted due to timeout/i.test(msg)
         ? 'LAVALINK_TIMEOUT'
@@ -34,7 +35,7 @@ const handleLavalinkError = async (interaction, error, client) => {
 
 const requirePlayer = async (interaction, { requireQueue = false } = {}) => {
     const { client, guild } = interaction;
-    const lang = client.defaultLanguage;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
     // Check if Lavalink is available first
     if (!isLavalinkAvailable(client)) {
@@ -71,7 +72,7 @@ const requirePlayer = async (interaction, { requireQueue = false } = {}) => {
  */
 const requireSameVoice = async (interaction, player) => {
     const { member, client } = interaction;
-    const lang = client.defaultLanguage;
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
 
     const voiceChannel = member.voice.channel;
     if (!voiceChannel || voiceChannel.id !== player.voiceChannelId) {
@@ -84,9 +85,98 @@ const requireSameVoice = async (interaction, player) => {
     return true;
 };
 
+/**
+ * Gets the guild's player, creating it in the given voice channel if needed,
+ * and connects it. Returns null if the bot is already playing in a different
+ * voice channel.
+ *
+ * @param {Object} client - Discord client instance
+ * @param {import('discord.js').VoiceBasedChannel} voiceChannel - The requester's voice channel
+ * @param {string} textChannelId - Channel the request came from
+ * @returns {Object|null} Lavalink player
+ */
+const joinVoiceChannel = (client, voiceChannel, textChannelId) => {
+    const guildId = voiceChannel.guild.id;
+    let player = client.lavalink.getPlayer(guildId);
+
+    if (!player) {
+        // Create a new player if one doesn't exist
+        player = client.lavalink.createPlayer({
+            guildId,
+            node: client.lavalinkConnectionManager.getBestNode()?.id,
+            voiceChannelId: voiceChannel.id,
+            textChannelId,
+            selfDeaf: true,
+            selfMute: false,
+            volume: client.guildSettings.get(guildId).defaultVolume,
+        });
+    }
+
+    // Check if the bot is in a different voice channel
+    if (player.voiceChannelId && player.voiceChannelId !== voiceChannel.id) {
+        return null;
+    }
+
+    // Connect if not connected
+    if (!player.connected) {
+        player.connect();
+    }
+
+    return player;
+};
+
+/**
+ * joinVoiceChannel for a deferred interaction: edits the reply and returns
+ * null if the bot is already playing in a different voice channel.
+ */
+const connectPlayer = async (interaction, voiceChannel) => {
+    const { client } = interaction;
+    const player = joinVoiceChannel(client, voiceChannel, interaction.channel.id);
+
+    if (!player) {
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
+        await interaction.editReply({
+            content: client.languageManager.get(lang, 'ERROR_SAME_VOICE_CHANNEL'),
+        });
+        return null;
+    }
+
+    return player;
+};
+
+/**
+ * Applies vote skip when the guild has it enabled. Returns true if the skip
+ * should go ahead (vote skip off, forced by a DJ/requester, or enough votes),
+ * otherwise records the vote, replies with the count and returns false.
+ */
+const requireSkipVotes = async (interaction, player) => {
+    const { member, client } = interaction;
+    const { voteSkip, djRoles } = client.guildSettings.get(interaction.guildId);
+
+    if (!voteSkip || canForceSkip(member, player, djRoles)) return true;
+
+    const sameVoice = await requireSameVoice(interaction, player);
+    if (!sameVoice) return false;
+
+    const result = client.voteSkipManager.vote(player, interaction.user.id);
+    if (result.passed) return true;
+
+    const lang = client.getLanguage(interaction.guildId, interaction.locale);
+    await interaction.reply({
+        content: client.languageManager.get(lang, result.added ? 'VOTE_SKIP_ADDED' : 'VOTE_SKIP_ALREADY', result.votes, result.required),
+        flags: MessageFlags.Ephemeral,
+    });
+
+    client.playerController.updatePlayer(interaction.guildId).catch(() => {});
+    return false;
+};
+
 module.exports = {
     requirePlayer,
     requireSameVoice,
+    requireSkipVotes,
+    joinVoiceChannel,
+    connectPlayer,
     isLavalinkAvailable,
     handleLavalinkError,
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+const logger = require('./logger');
+
+const DEFAULT_PORT = 2333;
+const DEFAULT_SECURE_PORT = 443;
+const FRAMES_PER_MINUTE = 3000; // Lavalink sends 50 frames per second
+
+function isLocalLavalinkConfigured() {
+    if (process.env.LAVALINK_NODES && process.env.LAVALINK_NODES.trim()) return true;
+
+    const host = process.env.LAVALINK_HOST;
+    const port = process.env.LAVALINK_PORT;
+    const password = process.env.LAVALINK_PASSWORD;
+    return Boolean(host && host.trim() && port && port.trim() && password && password.trim());
+}
+
+/**
+ * Parses a single LAVALINK_NODES entry: [ws://|wss://][password@]host[:port]
+ *
+ * @param {string} entry - Node entry
+ * @param {number} index - Position in the list, used for the node ID
+ * @returns {Object|null} Node options, or null if the entry is invalid
+ */
+function parseNodeEntry(entry, index) {
+    try {
+        const url = new URL(entry.includes('://') ? entry : `ws://${entry}`);
+        if (!['ws:', 'wss:'].includes(url.protocol) || !url.hostname) return null;
+
+        const secure = url.protocol === 'wss:';
+        const authorization = url.username ? decodeURIComponent(url.username) : process.env.LAVALINK_PASSWORD;
+        if (!authorization) return null;
+
+        return {
+            host: url.hostname,
+            port: url.port ? parseInt(url.port, 10) : (secure ? DEFAULT_SECURE_PORT : DEFAULT_PORT),
+            authorization,
+            secure,
+            id: `node-${index + 1}`,
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Gets the self-hosted node list: LAVALINK_NODES when set, otherwise the
+ * single LAVALINK_HOST/LAVALINK_PORT/LAVALINK_PASSWORD node
+ *
+ * @returns {Object[]} Node options for the LavalinkManager
+ */
+function getLocalNodeConfigs() {
+    const list = (process.env.LAVALINK_NODES || '').trim();
+
+    if (!list) {
+        return [{
+            host: process.env.LAVALINK_HOST,
+            port: parseInt(process.env.LAVALINK_PORT, 10),
+            authorization: process.env.LAVALINK_PASSWORD,
+            id: 'main-node',
+            reconnectTimeout: 10000,
+            reconnectTries: 3,
+        }];
+    }
+
+    const nodes = [];
+    list.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+        const node = parseNodeEntry(entry, index);
+        if (node) {
+            nodes.push(node);
+        } else {
+            logger.warn(`Ignoring invalid LAVALINK_NODES entry "${entry.replace(/\/\/[^@/]*@/, '//***@')}"`);
+        }
+    });
+
+    return nodes;
+}
+
+/**
+ * Scores how loaded a node is from its Lavalink stats (lower is better).
+ * CPU and dropped frames grow exponentially so a struggling node is avoided
+ * even when it has few players.
+ *
+ * @param {Object} node - Lavalink node
+ * @returns {number} Penalty score
+ */
+function getNodePenalty(node) {
+    const stats = node.stats;
+    if (!stats) return 0;
+
+    const playerPenalty = stats.playingPlayers || 0;
+    const cpuPenalty = Math.pow(1.05, 100 * (stats.cpu?.systemLoad || 0)) * 10 - 10;
+
+    let framePenalty = 0;
+    if (stats.frameStats) {
+        const deficit = Math.max(0, stats.frameStats.deficit || 0);
+        const nulled = Math.max(0, stats.frameStats.nulled || 0);
+        framePenalty = (Math.pow(1.03, 500 * (deficit / FRAMES_PER_MINUTE)) * 600 - 600)
+            + (Math.pow(1.03, 500 * (nulled / FRAMES_PER_MINUTE)) * 300 - 300) * 2;
+    }
+
+    return playerPenalty + cpuPenalty + framePenalty;
+}
+
+module.exports = {
+    isLocalLavalinkConfigured,
+    getLocalNodeConfigs,
+    getNodePenalty,
+};
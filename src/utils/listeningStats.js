@@ -0,0 +1,80 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Filters play history entries to a period and, optionally, one requester
+ *
+ * @param {Object[]} entries - Entries from PlayHistory.getEntries
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only count tracks this user requested
+ * @param {number} [options.days] - Only count plays from the last N days
+ * @returns {Object[]} Matching entries
+ */
+function filterEntries(entries, { userId, days } = {}) {
+    const since = days ? Date.now() - days * DAY_MS : 0;
+    return entries.filter(entry =>
+        entry.startedAt >= since
+        && (!userId || (!entry.autoplay && entry.requester?.id === userId))
+    );
+}
+
+function countBy(entries, getKey, getLabel) {
+    const counts = new Map();
+    for (const entry of entries) {
+        const key = getKey(entry);
+        if (!key) continue;
+
+        const current = counts.get(key) || { key, label: getLabel(entry), plays: 0, listenedMs: 0 };
+        current.plays++;
+        current.listenedMs += entry.listenedMs || 0;
+        counts.set(key, current);
+    }
+    return [...counts.values()].sort((a, b) => b.plays - a.plays || b.listenedMs - a.listenedMs);
+}
+
+/**
+ * Aggregates play history entries into listening statistics
+ *
+ * @param {Object[]} entries - Entries from filterEntries
+ * @returns {Object} Totals, top tracks/artists/requesters and plays per hour of day (UTC)
+ */
+function computeStats(entries) {
+    const hours = new Array(24).fill(0);
+    let listenedMs = 0;
+    let completed = 0;
+    let skipped = 0;
+
+    for (const entry of entries) {
+        hours[new Date(entry.startedAt).getUTCHours()]++;
+        listenedMs += entry.listenedMs || 0;
+        if (entry.status === 'completed') completed++;
+        if (entry.status === 'skipped') skipped++;
+    }
+
+    return {
+        plays: entries.length,
+        listenedMs,
+        completed,
+        skipped,
+        topTracks: countBy(
+            entries,
+            entry => entry.track.info?.uri || entry.track.info?.identifier,
+            entry => `${entry.track.info?.title || 'Unknown'} — ${entry.track.info?.author || 'Unknown'}`
+        ),
+        topArtists: countBy(
+            entries,
+            entry => entry.track.info?.author?.toLowerCase(),
+            entry => entry.track.info?.author
+        ),
+        topRequesters: countBy(
+            entries.filter(entry => !entry.autoplay),
+            entry => entry.requester?.id,
+            entry => entry.requester?.id
+        ),
+        hours,
+    };
+}
+
+module.exports = {
+    filterEntries,
+    computeStats,
+};
@@ -0,0 +1,58 @@
+// Finds links to supported music platforms in a Discord message
+
+// Hosts Lavalink can load; Spotify links need the LavaSrc plugin (SPOTIFY_ENABLED)
+const SUPPORTED_HOSTS = [
+    'youtube.com',
+    'youtu.be',
+    'soundcloud.com',
+    'bandcamp.com',
+    'twitch.tv',
+    'vimeo.com',
+    ...(process.env.SPOTIFY_ENABLED === 'true' ? ['spotify.com', 'spotify.link'] : []),
+];
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`|]+/gi;
+const TRAILING_PUNCTUATION = /[)\]}.,;:!?*~]+$/;
+const MAX_URLS = 20;
+
+/**
+ * @param {string} value - URL to check
+ * @returns {boolean} Whether the URL points to a supported platform
+ */
+function isSupportedUrl(value) {
+    let hostname;
+    try {
+        hostname = new URL(value).hostname.toLowerCase();
+    } catch {
+        return false;
+    }
+    return SUPPORTED_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Collects supported URLs from a message's text and embeds, without duplicates
+ *
+ * @param {import('discord.js').Message} message - Message to scan
+ * @returns {string[]} Up to MAX_URLS URLs in the order they appear
+ */
+function extractSupportedUrls(message) {
+    const texts = [
+        message.content,
+        ...message.embeds.flatMap(embed => [embed.url, embed.description, ...embed.fields.map(field => field.value)]),
+    ].filter(Boolean);
+
+    const urls = new Set();
+    for (const text of texts) {
+        for (const match of text.matchAll(URL_PATTERN)) {
+            const url = match[0].replace(TRAILING_PUNCTUATION, '');
+            if (isSupportedUrl(url)) urls.add(url);
+        }
+    }
+    return [...urls].slice(0, MAX_URLS);
+}
+
+module.exports = {
+    isSupportedUrl,
+    extractSupportedUrls,
+    MAX_URLS,
+};
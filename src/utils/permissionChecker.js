@@ -2,18 +2,58 @@
  * Permission checker module
  * Validates if a user has permission to use bot commands based on:
  * - Administrator permissions (always allowed)
- * - Roles specified in ALLOWED_ROLES environment variable
+ * - Roles configured for the guild via /settings (falling back to ALLOWED_ROLES)
  * - If no roles are specified, everyone can use the bot
+ *
+ * With DJ mode on, actions that affect everyone listening additionally need
+ * a DJ role, being the requester of the affected track(s), or being alone
+ * with the bot in its voice channel.
  */
 
 const { PermissionsBitField, MessageFlags } = require('discord.js');
 const logger = require('./logger');
 
-// Cache allowed roles at module level — env vars don't change at runtime
-const ALLOWED_ROLES = (process.env.ALLOWED_ROLES || '')
-    .split(',')
-    .map(role => role.trim())
-    .filter(role => role);
+// Actions restricted in DJ mode. 'requester' actions are also allowed for
+// whoever requested every track the action affects. Subcommands are listed
+// as "command subcommand".
+const DJ_ACTIONS = Object.freeze({
+    stop: 'dj',
+    clear: 'dj',
+    volume: 'dj',
+    filter: 'dj',
+    loop: 'dj',
+    autoplay: 'dj',
+    shuffle: 'dj',
+    back: 'dj',
+    jump: 'dj',
+    move: 'dj',
+    swap: 'dj',
+    'remove-user': 'dj',
+    sleep: 'dj',
+    'playlist load': 'dj',
+    'radio play': 'dj',
+    'radio url': 'dj',
+    skip: 'requester',
+    pause: 'requester',
+    seek: 'requester',
+    remove: 'requester',
+});
+
+// Button and select menu custom IDs ("component:action") mapped to DJ actions
+const COMPONENT_ACTIONS = Object.freeze({
+    'player:back': 'back',
+    'player:playpause': 'pause',
+    'player:rewind': 'seek',
+    'player:forward': 'seek',
+    'player:skip': 'skip',
+    'player:stop': 'stop',
+    'player:shuffle': 'shuffle',
+    'player:loop': 'loop',
+    'player:clear': 'clear',
+    'queue:select': 'jump',
+    'queue:remove': 'remove',
+    'filter:select': 'filter',
+});
 
 /**
  * Checks if a member has Administrator permissions.
@@ -27,9 +67,10 @@ function isAdmin(memberPermissions) {
 /**
  * Check if user has permission to use the bot.
  * @param {import('discord.js').GuildMember} member - The guild member to check.
+ * @param {string[]} allowedRoles - Role IDs allowed to use the bot in this guild.
  * @returns {boolean} Whether the user has permission.
  */
-function hasPermission(member) {
+function hasPermission(member, allowedRoles) {
     // Create a PermissionsBitField object from the raw permissions data to prevent crashes
     const memberPermissions = new PermissionsBitField(member.permissions);
 
@@ -39,12 +80,133 @@ function hasPermission(member) {
     }
 
     // If no roles are specified, everyone can use the bot
-    if (!ALLOWED_ROLES.length) {
+    if (!allowedRoles.length) {
         return true;
     }
 
     // Check if member has any of the allowed roles
-    return member.roles.cache.some(role => ALLOWED_ROLES.includes(role.id));
+    return member.roles.cache.some(role => allowedRoles.includes(role.id));
+}
+
+/**
+ * Gets the DJ action an interaction performs, if any.
+ * @param {import('discord.js').Interaction} interaction - The interaction to check.
+ * @returns {string|null} Key of DJ_ACTIONS, or null if the interaction is unrestricted.
+ */
+function getInteractionAction(interaction) {
+    let action = null;
+
+    if (interaction.isChatInputCommand()) {
+        const subcommand = interaction.options.getSubcommand(false);
+        action = subcommand && DJ_ACTIONS[`${interaction.commandName} ${subcommand}`]
+            ? `${interaction.commandName} ${subcommand}`
+            : interaction.commandName;
+    } else if (interaction.isButton() || interaction.isStringSelectMenu()) {
+        const [component, name] = interaction.customId.split(':');
+        action = COMPONENT_ACTIONS[`${component}:${name}`] || null;
+    }
+
+    return action && DJ_ACTIONS[action] ? action : null;
+}
+
+/**
+ * Gets the queue tracks a requester-level action affects.
+ * @param {import('discord.js').Interaction} interaction - The interaction.
+ * @param {string} action - Key of DJ_ACTIONS.
+ * @param {Object} player - Lavalink player.
+ * @returns {Array} Affected tracks (may contain undefined for invalid positions).
+ */
+function getAffectedTracks(interaction, action, player) {
+    if (action !== 'remove') {
+        return [player.queue.current];
+    }
+
+    if (interaction.isStringSelectMenu()) {
+        // Values are "trackIndex:pageNumber"
+        return interaction.values.map(value => player.queue.tracks[parseInt(value.split(':')[0])]);
+    }
+
+    const position = interaction.options.getInteger('position');
+    const to = interaction.options.getInteger('to') ?? position;
+    return player.queue.tracks.slice(Math.min(position, to) - 1, Math.max(position, to));
+}
+
+/**
+ * Checks if the member is the only listener in the player's voice channel.
+ * @param {import('discord.js').GuildMember} member - The guild member to check.
+ * @param {Object} player - Lavalink player.
+ * @returns {boolean}
+ */
+function isAloneWithBot(member, player) {
+    const channel = member.voice?.channel;
+    if (!channel || channel.id !== player.voiceChannelId) return false;
+
+    return channel.members.filter(m => !m.user.bot).size === 1;
+}
+
+/**
+ * Checks if a member counts as a DJ (administrator or one of the DJ roles).
+ * @param {import('discord.js').GuildMember} member - The guild member to check.
+ * @param {string[]} djRoles - DJ role IDs for this guild.
+ * @returns {boolean}
+ */
+function isDj(member, djRoles) {
+    return isAdmin(new PermissionsBitField(member.permissions))
+        || member.roles.cache.some(role => djRoles.includes(role.id));
+}
+
+/**
+ * Checks if a member requested a track.
+ * @param {import('discord.js').GuildMember} member - The guild member to check.
+ * @param {Object} track - Lavalink track.
+ * @returns {boolean}
+ */
+function isRequester(member, track) {
+    return Boolean(track) && (track.requester?.id || track.userData?.requester?.id) === member.id;
+}
+
+/**
+ * Check if a member can skip the current track without a vote: DJs, the
+ * track's requester and anyone alone with the bot.
+ * @param {import('discord.js').GuildMember} member - The guild member to check.
+ * @param {Object} player - Lavalink player.
+ * @param {string[]} djRoles - DJ role IDs for this guild.
+ * @returns {boolean}
+ */
+function canForceSkip(member, player, djRoles) {
+    return isDj(member, djRoles) || isRequester(member, player.queue.current) || isAloneWithBot(member, player);
+}
+
+/**
+ * Check if a member may perform an action while DJ mode is on.
+ * @param {import('discord.js').Interaction} interaction - The interaction to check.
+ * @param {Object} settings - Effective guild settings.
+ * @returns {boolean} Whether the action is allowed.
+ */
+function hasDjPermission(interaction, settings) {
+    if (!settings.djMode) return true;
+
+    const action = getInteractionAction(interaction);
+    if (!action) return true;
+
+    // With vote skip on, listeners may always ask to skip; the vote decides
+    if (action === 'skip' && settings.voteSkip) return true;
+
+    const { member, client } = interaction;
+    if (isDj(member, settings.djRoles)) return true;
+
+    // Nothing to protect without a player; the command itself reports that
+    const player = client.lavalink?.getPlayer(interaction.guildId);
+    if (!player) return true;
+
+    if (isAloneWithBot(member, player)) return true;
+
+    if (DJ_ACTIONS[action] === 'requester') {
+        const tracks = getAffectedTracks(interaction, action, player);
+        return tracks.length > 0 && tracks.every(track => isRequester(member, track));
+    }
+
+    return false;
 }
 
 /**
@@ -54,13 +216,21 @@ function hasPermission(member) {
  */
 async function checkInteractionPermission(interaction) {
     const { client, member } = interaction;
+    const settings = client.guildSettings.get(interaction.guildId);
+
+    // Check if user has permission, then whether DJ mode restricts this action
+    let deniedKey = null;
+    if (!hasPermission(member, settings.allowedRoles)) {
+        deniedKey = 'NO_PERMISSION';
+    } else if (!hasDjPermission(interaction, settings)) {
+        deniedKey = 'DJ_REQUIRED';
+    }
 
-    // Check if user has permission
-    if (!hasPermission(member)) {
-        const lang = client.defaultLanguage;
+    if (deniedKey) {
+        const lang = client.getLanguage(interaction.guildId, interaction.locale);
         try {
             await interaction.reply({
-                content: client.languageManager.get(lang, 'NO_PERMISSION'),
+                content: client.languageManager.get(lang, deniedKey),
                 flags: MessageFlags.Ephemeral
             });
         } catch (error) {
@@ -76,6 +246,8 @@ async function checkInteractionPermission(interaction) {
 
 module.exports = {
     hasPermission,
+    hasDjPermission,
+    canForceSkip,
     checkInteractionPermission
 };
  
\ No newline at end of file
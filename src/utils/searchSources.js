@@ -0,0 +1,88 @@
+// Search sources for the `source` option of /play and /search
+
+// Offered only when the node lists the source manager in /v4/info (built in
+// or added by a plugin such as LavaSrc or youtube-source)
+const SEARCH_SOURCES = Object.freeze([
+    { id: 'youtube', name: 'YouTube', prefix: 'ytsearch', sourceManager: 'youtube' },
+    { id: 'youtubemusic', name: 'YouTube Music', prefix: 'ytmsearch', sourceManager: 'youtube' },
+    { id: 'soundcloud', name: 'SoundCloud', prefix: 'scsearch', sourceManager: 'soundcloud' },
+    { id: 'spotify', name: 'Spotify', prefix: 'spsearch', sourceManager: 'spotify' },
+    { id: 'applemusic', name: 'Apple Music', prefix: 'amsearch', sourceManager: 'applemusic' },
+    { id: 'deezer', name: 'Deezer', prefix: 'dzsearch', sourceManager: 'deezer' },
+    { id: 'yandexmusic', name: 'Yandex Music', prefix: 'ymsearch', sourceManager: 'yandexmusic' },
+    { id: 'bandcamp', name: 'Bandcamp', prefix: 'bcsearch', sourceManager: 'bandcamp' },
+]);
+
+// Display names for Lavalink track sourceName values
+const SOURCE_LABELS = Object.freeze({
+    youtube: 'YouTube',
+    soundcloud: 'SoundCloud',
+    spotify: 'Spotify',
+    applemusic: 'Apple Music',
+    deezer: 'Deezer',
+    yandexmusic: 'Yandex Music',
+    bandcamp: 'Bandcamp',
+    twitch: 'Twitch',
+    vimeo: 'Vimeo',
+    http: 'HTTP',
+});
+
+/**
+ * The node a guild's searches go to: its player's node, or the best one for a new player
+ *
+ * @param {Object} client - Discord client instance
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|undefined} Lavalink node
+ */
+function getSearchNode(client, guildId) {
+    return client.lavalink.getPlayer(guildId)?.node || client.lavalinkConnectionManager.getBestNode();
+}
+
+/**
+ * @param {Object} node - Lavalink node
+ * @returns {Array} Sources the node can search
+ */
+function getAvailableSources(node) {
+    const sourceManagers = node?.info?.sourceManagers || [];
+    return SEARCH_SOURCES.filter(source => sourceManagers.includes(source.sourceManager));
+}
+
+/**
+ * @param {Object} node - Lavalink node
+ * @param {string} id - Source ID picked in the `source` option
+ * @returns {Object|null} The source, or null if unknown or not available on the node
+ */
+function getSearchSource(node, id) {
+    return getAvailableSources(node).find(source => source.id === id) || null;
+}
+
+/**
+ * Autocomplete choices for the `source` option
+ *
+ * @param {Object} node - Lavalink node
+ * @param {string} input - What the user typed so far
+ * @returns {Array<{name: string, value: string}>}
+ */
+function createSourceChoices(node, input) {
+    const needle = input.trim().toLowerCase();
+    return getAvailableSources(node)
+        .filter(source => source.name.toLowerCase().includes(needle))
+        .map(source => ({ name: source.name, value: source.id }));
+}
+
+/**
+ * @param {string} sourceName - Lavalink track info.sourceName
+ * @returns {string} Display name
+ */
+function getSourceLabel(sourceName) {
+    return SOURCE_LABELS[sourceName] || sourceName || 'Unknown';
+}
+
+module.exports = {
+    SEARCH_SOURCES,
+    getSearchNode,
+    getAvailableSources,
+    getSearchSource,
+    createSourceChoices,
+    getSourceLabel,
+};
@@ -23,6 +23,8 @@ function truncateText(text, maxLength = 30) {
  * @param {number} options.startIndex - Starting index for track numbering
  * @param {number} options.maxOptions - Maximum options (Discord limit: 25)
  * @param {Function} options.valueFormatter - Optional custom value formatter (receives globalIndex)
+ * @param {string} options.emoji - Emoji shown next to each option
+ * @param {number} options.maxValues - How many options can be picked at once
  * @returns {StringSelectMenuBuilder} Configured select menu
  */
 function createTrackSelectMenu(tracks, options = {}) {
@@ -32,6 +34,8 @@ function createTrackSelectMenu(tracks, options = {}) {
         startIndex = 0,
         maxOptions = 25,
         valueFormatter = (globalIndex) => `${globalIndex}`,
+        emoji = '▶️',
+        maxValues = 1,
     } = options;
 
     const selectOptions = tracks.slice(0, maxOptions).map((track, index) => {
@@ -44,13 +48,14 @@ function createTrackSelectMenu(tracks, options = {}) {
             label: `${displayNum}. ${title}`,
             description: artist.substring(0, 100),
             value: valueFormatter(globalIndex),
-            emoji: '▶️'
+            emoji
         };
     });
 
     return new StringSelectMenuBuilder()
         .setCustomId(customId)
         .setPlaceholder(placeholder)
+        .setMaxValues(Math.max(1, Math.min(maxValues, selectOptions.length)))
         .addOptions(selectOptions);
 }
 
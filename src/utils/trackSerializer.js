@@ -0,0 +1,56 @@
+/**
+ * Converts Lavalink tracks to and from JSON-safe objects so they can be
+ * stored on disk and rebuilt later without searching again
+ */
+
+function serializeRequester(requester) {
+    if (!requester?.id) return null;
+    return {
+        id: requester.id,
+        username: requester.username,
+        globalName: requester.globalName,
+    };
+}
+
+// userData describing how a track got into this session's queue (autoplay
+// pick, radio station); meaningless once the track is loaded somewhere else
+const SESSION_USER_DATA = ['autoplay', 'radio'];
+
+/**
+ * @param {Object} track - Lavalink track
+ * @param {Object} [options]
+ * @param {boolean} [options.keepSessionData=true] - Keep the autoplay and radio flags
+ * @returns {Object|null} Stored track, or null if the track has no encoded data
+ */
+function serializeTrack(track, { keepSessionData = true } = {}) {
+    if (!track?.encoded || !track.info) return null;
+    const { requester: _requester, ...userData } = track.userData || {};
+    if (!keepSessionData) {
+        SESSION_USER_DATA.forEach(key => delete userData[key]);
+    }
+    return {
+        encoded: track.encoded,
+        info: track.info,
+        userData,
+        requester: serializeRequester(track.requester || track.userData?.requester),
+    };
+}
+
+/**
+ * @param {import('discord.js').Client} client - Discord client with the Lavalink manager
+ * @param {Object} data - Stored track from serializeTrack
+ * @param {Object} [requester] - Requester to use instead of the stored one
+ * @returns {Object|null} Lavalink track, or null if it can't be rebuilt
+ */
+function buildTrack(client, data, requester = data?.requester) {
+    try {
+        return client.lavalink.utils.buildTrack(data, requester);
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    serializeTrack,
+    buildTrack,
+};